@@ -0,0 +1,436 @@
+/**
+ * Page9 9P Protocol
+ * 
+ * A 9P2000-inspired file protocol, shared by the kernel (sw.js), pages
+ * (page9.js), workers (page9-worker.js) and the stand-in server
+ * (page9-cli.js). Messages are objects rather than 9P's binary format:
+ * - Requests: { type: 'Twalk', tag, ...fields }
+ * - Replies:  { type: 'Rwalk', tag, ...fields } or { type: 'Rerror', tag, ename }
+ * 
+ * Tversion { msize, version }          Rversion { msize, version }
+ * Tattach  { fid, aname }              Rattach  { qid }
+ * Twalk    { fid, newfid, wnames }     Rwalk    { wqids }
+ * Topen    { fid, mode }               Ropen    { qid, iounit }
+ * Tread    { fid, offset, count }      Rread    { data } or { entries } for directories
+ * Twrite   { fid, offset, data }       Rwrite   { count }
+ * Tstat    { fid }                     Rstat    { stat }
+ * Tclunk   { fid }                     Rclunk   {}
+ * 
+ * A qid is { type: 'file' | 'dir', path, version }. Directory reads count
+ * offset and count in entries rather than bytes.
+ * 
+ * The same entries are served over HTTP as JSON directory listings, which
+ * listDirectory() fetches for page9.js and page9-worker.js.
+ */
+
+const NINEP_VERSION = '9P2000.page9';
+const NINEP_MSIZE = 65536;
+const NINEP_TIMEOUT = 10000;
+
+/**
+ * 9P Error
+ * Rerror reply, or a failed connection
+ */
+class NinePError extends Error {
+  constructor(ename, code = 'NINEP_ERROR') {
+    super(ename);
+    this.name = 'NinePError';
+    this.code = code;
+  }
+}
+
+/**
+ * 9P Client
+ * Tags and fids are allocated by the client. Paths are relative to the
+ * attached root and split on "/" for walks
+ */
+class NinePClient {
+  constructor(transport, options = {}) {
+    this.transport = transport;
+    this.timeout = options.timeout ?? NINEP_TIMEOUT;
+    this.msize = NINEP_MSIZE;
+    this.pending = new Map();
+    this.nextTag = 0;
+    this.nextFid = 0;
+    this.root = null;
+    this.onclose = null;
+    
+    transport.onmessage = message => this.receive(message);
+    transport.onclose = () => {
+      this.fail(new NinePError('connection closed', 'CLOSED'));
+      this.onclose?.();
+    };
+  }
+  
+  /**
+   * Client Over a MessagePort
+   */
+  static overPort(port, options) {
+    return new NinePClient(new NinePPortTransport(port), options);
+  }
+  
+  /**
+   * Client Over a WebSocket
+   * Resolves once the socket is open; call version() and attach() next
+   */
+  static async connect(url, options) {
+    const transport = await NinePSocketTransport.open(url);
+    return new NinePClient(transport, options);
+  }
+  
+  /**
+   * Send a Request and Wait for its Reply
+   * Rerror replies reject with a NinePError
+   */
+  rpc(type, fields = {}, transfer = []) {
+    const tag = ++this.nextTag;
+    
+    return new Promise((resolve, reject) => {
+      const timer = this.timeout > 0 && setTimeout(() => {
+        this.pending.delete(tag);
+        reject(new NinePError(`${type} timed out`, 'TIMEOUT'));
+      }, this.timeout);
+      
+      this.pending.set(tag, (reply) => {
+        clearTimeout(timer);
+        if (reply.type === 'Rerror') {
+          reject(new NinePError(reply.ename));
+        } else {
+          resolve(reply);
+        }
+      });
+      
+      try {
+        this.transport.send({ ...fields, type, tag }, transfer);
+      } catch (error) {
+        clearTimeout(timer);
+        this.pending.delete(tag);
+        reject(error);
+      }
+    });
+  }
+  
+  /**
+   * Deliver a Reply to its Request
+   */
+  receive(reply) {
+    const settle = this.pending.get(reply?.tag);
+    if (settle) {
+      this.pending.delete(reply.tag);
+      settle(reply);
+    }
+  }
+  
+  /**
+   * Fail Every Pending Request
+   */
+  fail(error) {
+    for (const settle of this.pending.values()) {
+      settle({ type: 'Rerror', ename: error.message });
+    }
+    this.pending.clear();
+  }
+  
+  /**
+   * Negotiate the Protocol Version
+   * Resets the connection; every fid is clunked
+   */
+  async version(msize = NINEP_MSIZE) {
+    const reply = await this.rpc('Tversion', { msize, version: NINEP_VERSION });
+    if (reply.version !== NINEP_VERSION) {
+      throw new NinePError(`Unsupported protocol version: ${reply.version}`, 'UNSUPPORTED_PROTOCOL');
+    }
+    
+    this.msize = reply.msize;
+    this.root = null;
+    return reply;
+  }
+  
+  /**
+   * Attach to a File Tree
+   * The returned fid is also kept as the root for path-based helpers
+   */
+  async attach(aname = '/') {
+    const fid = ++this.nextFid;
+    await this.rpc('Tattach', { fid, aname });
+    this.root = fid;
+    return fid;
+  }
+  
+  /**
+   * Walk to a Path
+   * Returns a new fid for the path, relative to fid (default the root)
+   */
+  async walk(path, fid = this.root) {
+    const wnames = String(path).split('/').filter(Boolean);
+    const newfid = ++this.nextFid;
+    const { wqids } = await this.rpc('Twalk', { fid, newfid, wnames });
+    
+    // A partial walk leaves newfid unused
+    if (wqids.length < wnames.length) {
+      throw new NinePError(`${wnames[wqids.length]}: file does not exist`);
+    }
+    
+    return newfid;
+  }
+  
+  async open(fid, mode = NinePClient.OREAD) {
+    return this.rpc('Topen', { fid, mode });
+  }
+  
+  async read(fid, offset, count) {
+    return this.rpc('Tread', { fid, offset, count });
+  }
+  
+  async write(fid, offset, data) {
+    const { count } = await this.rpc('Twrite', { fid, offset, data });
+    return count;
+  }
+  
+  async stat(fid) {
+    const { stat } = await this.rpc('Tstat', { fid });
+    return stat;
+  }
+  
+  async clunk(fid) {
+    await this.rpc('Tclunk', { fid });
+  }
+  
+  /**
+   * Run with a Walked Fid
+   * The fid is clunked afterwards, even when the callback throws
+   */
+  async withFid(path, callback) {
+    const fid = await this.walk(path);
+    try {
+      return await callback(fid);
+    } finally {
+      await this.clunk(fid).catch(() => {});
+    }
+  }
+  
+  /**
+   * Read a Whole File
+   * Resolves with a Uint8Array
+   */
+  async readFile(path) {
+    return this.withFid(path, async (fid) => {
+      const { qid } = await this.open(fid, NinePClient.OREAD);
+      if (qid.type === 'dir') {
+        throw new NinePError(`${path}: is a directory`);
+      }
+      
+      const chunks = [];
+      let offset = 0;
+      for (;;) {
+        const { data } = await this.read(fid, offset, this.msize);
+        if (!data || data.length === 0) break;
+        chunks.push(data);
+        offset += data.length;
+      }
+      
+      return concatBytes(chunks, offset);
+    });
+  }
+  
+  /**
+   * Replace a File's Contents
+   * The file must exist. Servers may save writes only when the fid is
+   * clunked, so the clunk's error is reported
+   */
+  async writeFile(path, data) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+    
+    const fid = await this.walk(path);
+    try {
+      await this.open(fid, NinePClient.OWRITE | NinePClient.OTRUNC);
+      for (let offset = 0; offset < bytes.length; offset += this.msize) {
+        await this.write(fid, offset, bytes.subarray(offset, offset + this.msize));
+      }
+    } catch (error) {
+      await this.clunk(fid).catch(() => {});
+      throw error;
+    }
+    
+    await this.clunk(fid);
+    return bytes.length;
+  }
+  
+  /**
+   * List a Directory
+   * Resolves with stat entries
+   */
+  async list(path) {
+    return this.withFid(path, async (fid) => {
+      await this.open(fid, NinePClient.OREAD);
+      
+      const entries = [];
+      for (;;) {
+        const reply = await this.read(fid, entries.length, 256);
+        if (!reply.entries || reply.entries.length === 0) break;
+        entries.push(...reply.entries);
+      }
+      
+      return entries;
+    });
+  }
+  
+  /**
+   * Stat a Path
+   */
+  async statPath(path) {
+    return this.withFid(path, fid => this.stat(fid));
+  }
+  
+  /**
+   * Close the Connection
+   */
+  close() {
+    this.fail(new NinePError('connection closed', 'CLOSED'));
+    this.transport.close();
+  }
+}
+
+// Open modes, as in 9P
+NinePClient.OREAD = 0;
+NinePClient.OWRITE = 1;
+NinePClient.ORDWR = 2;
+NinePClient.OTRUNC = 0x10;
+
+/**
+ * MessagePort Transport
+ * Messages are structured-cloned, so data stays binary
+ */
+class NinePPortTransport {
+  constructor(port) {
+    this.port = port;
+    this.onmessage = null;
+    this.onclose = null;
+    port.onmessage = event => this.onmessage?.(event.data);
+  }
+  
+  send(message, transfer = []) {
+    this.port.postMessage(message, transfer);
+  }
+  
+  close() {
+    this.port.close();
+  }
+}
+
+/**
+ * WebSocket Transport
+ * Messages travel as JSON text frames with data in base64
+ */
+class NinePSocketTransport {
+  constructor(socket) {
+    this.socket = socket;
+    this.onmessage = null;
+    this.onclose = null;
+    
+    socket.addEventListener('message', (event) => {
+      try {
+        this.onmessage?.(decodeNinePMessage(event.data));
+      } catch (error) {
+        console.warn('[Page9] Dropped malformed 9P message:', error);
+      }
+    });
+    socket.addEventListener('close', () => this.onclose?.());
+  }
+  
+  static open(url) {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(url);
+      socket.addEventListener('open', () => resolve(new NinePSocketTransport(socket)), { once: true });
+      socket.addEventListener('error', () => reject(new NinePError(`Cannot connect to ${url}`, 'CLOSED')), { once: true });
+    });
+  }
+  
+  send(message) {
+    this.socket.send(encodeNinePMessage(message));
+  }
+  
+  close() {
+    this.socket.close();
+  }
+}
+
+/**
+ * Encode a Message for a Text Transport
+ */
+function encodeNinePMessage(message) {
+  if (!(message.data instanceof Uint8Array)) {
+    return JSON.stringify(message);
+  }
+  
+  return JSON.stringify({ ...message, data: bytesToBase64(message.data) });
+}
+
+/**
+ * Decode a Message from a Text Transport
+ */
+function decodeNinePMessage(text) {
+  const message = JSON.parse(text);
+  if (typeof message.data === 'string') {
+    message.data = base64ToBytes(message.data);
+  }
+  return message;
+}
+
+/**
+ * Base64 Encode Bytes
+ * In chunks, so large buffers do not overflow the argument list
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Base64 Decode to Bytes
+ */
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * List a Directory
+ * Fetches the kernel's JSON listing of a mounted directory, like ls
+ */
+async function listDirectory(path) {
+  const dirPath = path.endsWith('/') ? path : path + '/';
+  const response = await fetch(dirPath, { headers: { Accept: 'application/json' } });
+  if (!response.ok) {
+    throw new NinePError(`Cannot list ${dirPath}: ${response.status}`, 'NOT_FOUND');
+  }
+  
+  const { entries } = await response.json();
+  return entries;
+}
+
+/**
+ * Concatenate Byte Chunks
+ */
+function concatBytes(chunks, length) {
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+// Module workers import this file for its side effects, so publish the
+// client on the global scope as well
+self.NinePClient = NinePClient;
+self.NinePError = NinePError;
+self.listDirectory = listDirectory;
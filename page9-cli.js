@@ -0,0 +1,1033 @@
+#!/usr/bin/env node
+/**
+ * Page9 Command Line Tool
+ * 
+ * Usage:
+ *   node page9-cli.js manifest [options]
+ *   node page9-cli.js 9p [options]
+ * 
+ * manifest walks the site, checks page9.config.json against it, and
+ * writes page9-manifest.json listing every served file with its size,
+ * content hash and MIME type.
+ * 
+ * 9p serves the site directory over the Page9 9P protocol on a
+ * WebSocket, as a local stand-in for a remote file server. It is
+ * read-only unless started with --writable, and only accepts browser
+ * connections from the origins given with --origin (by default the site
+ * served from this machine: http://localhost or http://127.0.0.1 on any
+ * port)
+ */
+
+const fs = require('node:fs/promises');
+const { readFileSync } = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const vm = require('node:vm');
+
+const MANIFEST_VERSION = 1;
+const DEFAULT_CONFIG = 'page9.config.json';
+const DEFAULT_OUTPUT = 'page9-manifest.json';
+const DEFAULT_NINEP_HOST = '127.0.0.1';
+const DEFAULT_NINEP_PORT = 5640;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_FRAME_SIZE = 1024 * 1024;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// The JSON Schema for configs is page9.config.json as shipped; the copy
+// the validator uses in page9-schema.js is generated from it
+const SCHEMA_SOURCE = path.join(__dirname, 'page9.config.json');
+const SCHEMA_SCRIPT = path.join(__dirname, 'page9-schema.js');
+
+// Never part of the served site
+const DEFAULT_EXCLUDES = ['node_modules'];
+
+let schema = null;
+
+const USAGE = `Usage: node page9-cli.js <command> [options]
+
+Commands:
+  manifest             Write the site manifest after checking the config
+  9p                   Serve the site root over 9P on a WebSocket
+  schema               Regenerate the validator's schema in page9-schema.js
+                       from page9.config.json
+
+Options:
+  --root <dir>         Site root (default: current directory)
+  --config <file>      Config to check, relative to the root (default: ${DEFAULT_CONFIG})
+  --out <file>         Manifest to write, relative to the root (default: ${DEFAULT_OUTPUT})
+  --exclude <pattern>  Skip matching files or directories (repeatable)
+  --check              Check references without writing the manifest
+  --host <address>     Address the 9P server listens on (default: ${DEFAULT_NINEP_HOST})
+  --port <port>        Port the 9P server listens on (default: ${DEFAULT_NINEP_PORT})
+  --origin <origin>    Origin allowed to connect to the 9P server (repeatable;
+                       default: http://localhost and http://127.0.0.1, any port)
+  --writable           Let 9P clients write site files
+  --help               Show this help`;
+
+/**
+ * Command Line Error
+ * Reported without a stack trace
+ */
+class CliError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'CliError';
+    this.details = details;
+  }
+}
+
+/**
+ * Parse Command Line Arguments
+ */
+function parseArgs(argv) {
+  const options = {
+    command: null,
+    root: process.cwd(),
+    config: DEFAULT_CONFIG,
+    out: DEFAULT_OUTPUT,
+    exclude: [...DEFAULT_EXCLUDES],
+    check: false,
+    host: DEFAULT_NINEP_HOST,
+    port: DEFAULT_NINEP_PORT,
+    origins: [],
+    writable: false,
+    help: false
+  };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) {
+        throw new CliError(`Missing value for ${arg}`);
+      }
+      return argv[++i];
+    };
+    
+    switch (arg) {
+      case '--root':
+        options.root = path.resolve(value());
+        break;
+      case '--config':
+        options.config = value();
+        break;
+      case '--out':
+        options.out = value();
+        break;
+      case '--exclude':
+        options.exclude.push(value());
+        break;
+      case '--check':
+        options.check = true;
+        break;
+      case '--host':
+        options.host = value();
+        break;
+      case '--port':
+        options.port = Number(value());
+        if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+          throw new CliError(`Invalid port: ${argv[i]}`);
+        }
+        break;
+      case '--origin':
+        options.origins.push(parseOrigin(value()));
+        break;
+      case '--writable':
+        options.writable = true;
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('-') || options.command) {
+          throw new CliError(`Unknown argument: ${arg}`);
+        }
+        options.command = arg;
+    }
+  }
+  
+  return options;
+}
+
+/**
+ * Parse an Origin Argument
+ */
+function parseOrigin(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new CliError(`Invalid origin: ${value}`);
+  }
+  if (url.origin === 'null' || url.origin !== value.replace(/\/$/, '')) {
+    throw new CliError(`Invalid origin: ${value} (expected scheme://host[:port])`);
+  }
+  return url.origin;
+}
+
+/**
+ * Is a WebSocket Origin Allowed
+ * Browsers always send an Origin, so a request without one comes from a
+ * local program rather than a web page
+ */
+function isOriginAllowed(origin, allowed) {
+  if (origin === undefined) return true;
+  if (allowed.length > 0) return allowed.includes(origin);
+  
+  try {
+    const url = new URL(origin);
+    return (url.protocol === 'http:' || url.protocol === 'https:') && LOOPBACK_HOSTS.includes(url.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Load the Shared Schema
+ * Runs page9-schema.js in a sandbox once, so the CLI checks configs,
+ * matches patterns and types files exactly as the kernel does
+ */
+function loadSchema() {
+  if (!schema) {
+    schema = { URL };
+    vm.createContext(schema);
+    vm.runInContext(readFileSync(path.join(__dirname, 'page9-schema.js'), 'utf8'), schema);
+  }
+  
+  return schema;
+}
+
+/**
+ * Is a Site Path Excluded
+ * Patterns without a "/" match the file or directory name, others the
+ * site path
+ */
+function isExcluded(sitePath, pattern) {
+  const subject = pattern.includes('/') ? sitePath : path.posix.basename(sitePath);
+  return loadSchema().matchPattern(subject, pattern);
+}
+
+/**
+ * Is a Site Path Served
+ * Dotfiles and dot directories never are, nor excluded paths
+ */
+function isServed(sitePath, excludes) {
+  return !path.posix.basename(sitePath).startsWith('.') &&
+    !excludes.some(pattern => isExcluded(sitePath, pattern));
+}
+
+/**
+ * Walk the Site
+ * Yields site paths ("/dir/file.ext") of every served file under the root
+ */
+async function* walkSite(root, excludes, dir = '') {
+  const entries = await fs.readdir(path.join(root, dir), { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  
+  for (const entry of entries) {
+    const sitePath = `${dir}/${entry.name}`;
+    if (!isServed(sitePath, excludes)) {
+      continue;
+    }
+    
+    if (entry.isDirectory()) {
+      yield* walkSite(root, excludes, sitePath);
+    } else if (entry.isFile()) {
+      yield sitePath;
+    }
+  }
+}
+
+/**
+ * Describe a Site File
+ */
+async function describeFile(root, sitePath) {
+  const contents = await fs.readFile(path.join(root, sitePath));
+  
+  return {
+    size: contents.length,
+    hash: crypto.createHash('sha256').update(contents).digest('hex'),
+    type: loadSchema().guessContentType(sitePath)
+  };
+}
+
+/**
+ * Build the Site Manifest
+ * The revision hashes every path and content hash, so it changes
+ * whenever any served file does
+ */
+async function buildManifest(root, excludes) {
+  const files = {};
+  for await (const sitePath of walkSite(root, excludes)) {
+    files[sitePath] = await describeFile(root, sitePath);
+  }
+  
+  const revision = crypto.createHash('sha256');
+  for (const [sitePath, file] of Object.entries(files)) {
+    revision.update(`${sitePath}\0${file.hash}\n`);
+  }
+  
+  return {
+    version: MANIFEST_VERSION,
+    generated: new Date().toISOString(),
+    revision: revision.digest('hex'),
+    files
+  };
+}
+
+/**
+ * Load and Validate the Config
+ * Uses the same loader and validator as the kernel. Resolves with the
+ * layered config without an environment, then once per environment it
+ * declares. A missing config is not an error: the kernel falls back to
+ * its defaults
+ */
+async function loadConfigs(root, configPath) {
+  const sandbox = loadSchema();
+  
+  const sitePath = '/' + configPath.split(path.sep).join('/').replace(/^\/+/, '');
+  const readJson = async (file) => {
+    let text;
+    try {
+      text = await fs.readFile(path.join(root, file), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new CliError(`${file} is not valid JSON: ${error.message}`);
+    }
+  };
+  
+  const load = async (environment) => {
+    let layered;
+    try {
+      layered = await sandbox.loadPage9Config(sitePath, readJson, { environment });
+    } catch (error) {
+      throw error instanceof CliError ? error : new CliError(`${configPath}: ${error.message}`);
+    }
+    if (!layered) return null;
+    
+    const errors = sandbox.validatePage9Config(layered.config, layered.sources);
+    if (errors.length > 0) {
+      const label = environment ? `${configPath} (environment ${environment})` : configPath;
+      throw new CliError(`${label} is invalid`, sandbox.formatConfigErrors(errors).split('\n'));
+    }
+    return layered;
+  };
+  
+  const base = await load(null);
+  if (!base) return [];
+  
+  const layers = [base];
+  for (const environment of Object.keys(base.config.environments || {})) {
+    layers.push(await load(environment));
+  }
+  return layers;
+}
+
+/**
+ * Check Config References
+ * Every route file, file or dir mount target (worker namespaces
+ * included), fallback, error page, worker module and pool script must be
+ * served by the site, and transforms and plumbing rules must name
+ * configured worker modules. Returns the broken references
+ */
+function checkReferences(config, files) {
+  const errors = [];
+  const exists = sitePath => Object.prototype.hasOwnProperty.call(files, sitePath);
+  const dirExists = dirPath => {
+    const prefix = dirPath.endsWith('/') ? dirPath : dirPath + '/';
+    return Object.keys(files).some(sitePath => sitePath.startsWith(prefix));
+  };
+  
+  // Templated files must match at least one file in the site
+  const templateExists = template => {
+    const regex = new RegExp('^' + template
+      .split(/\{\w+\}/)
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.+') + '$');
+    return Object.keys(files).some(sitePath => regex.test(sitePath));
+  };
+  
+  for (const [pattern, route] of Object.entries(config.routes || {})) {
+    if (!route.file) continue;
+    
+    const where = `config.routes["${pattern}"].file`;
+    if (/\{\w+\}/.test(route.file)) {
+      if (!templateExists(route.file)) {
+        errors.push(`${where}: no file matches ${route.file}`);
+      }
+    } else if (!exists(route.file)) {
+      errors.push(`${where}: ${route.file} does not exist`);
+    }
+  }
+  
+  const checkMounts = (mounts, where) => mounts.forEach((mount, index) => {
+    const target = `${where}[${index}].target`;
+    if (mount.type === 'file' && !exists(mount.target)) {
+      errors.push(`${target}: ${mount.target} does not exist`);
+    } else if (mount.type === 'dir' && !dirExists(mount.target)) {
+      errors.push(`${target}: directory ${mount.target} does not exist or is empty`);
+    }
+  });
+  
+  checkMounts(config.namespace?.mounts || [], 'config.namespace.mounts');
+  
+  const modules = config.workers?.modules || [];
+  modules.forEach((module, index) => {
+    if (module.path && !exists(module.path)) {
+      errors.push(`config.workers.modules[${index}].path: ${module.path} does not exist`);
+    }
+    checkMounts(module.namespace?.mounts || [], `config.workers.modules[${index}].namespace.mounts`);
+  });
+  
+  const fallback = typeof config.fallback === 'string' ? config.fallback : config.fallback?.file;
+  if (fallback && !exists(fallback)) {
+    errors.push(`config.fallback: ${fallback} does not exist`);
+  }
+  
+  for (const [status, page] of Object.entries(config.errorPages || {})) {
+    if (!exists(page)) {
+      errors.push(`config.errorPages["${status}"]: ${page} does not exist`);
+    }
+  }
+  
+  const poolScript = config.workers?.pool?.script;
+  if (poolScript && !exists(poolScript)) {
+    errors.push(`config.workers.pool.script: ${poolScript} does not exist`);
+  }
+  
+  const moduleNames = new Set(modules.map(module => module.name));
+  for (const [pattern, route] of Object.entries(config.routes || {})) {
+    if (route.transform && !moduleNames.has(route.transform)) {
+      errors.push(`config.routes["${pattern}"].transform: no worker module named "${route.transform}"`);
+    }
+  }
+  
+  (config.plumbing?.rules || []).forEach((rule, index) => {
+    const where = `config.plumbing.rules[${index}]`;
+    if (!rule.worker && !rule.port) {
+      errors.push(`${where}: needs a worker or a port`);
+    } else if (rule.worker && !moduleNames.has(rule.worker)) {
+      errors.push(`${where}.worker: no worker module named "${rule.worker}"`);
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Manifest Command
+ */
+async function manifestCommand(options) {
+  const source = await readSchemaSource();
+  checkSchemaSync(source);
+  
+  const excludes = [...options.exclude, '/' + options.out.replace(/^\/+/, '')];
+  const manifest = await buildManifest(options.root, excludes);
+  
+  // Run in the Page9 tree itself, the config is the schema and configures
+  // nothing to check
+  const configs = source && path.resolve(options.root, options.config) === SCHEMA_SOURCE
+    ? []
+    : await loadConfigs(options.root, options.config);
+  
+  for (const { config, environment, files } of configs) {
+    const errors = [
+      ...files.filter(file => !manifest.files[file]).map(file => `${file} is not served`),
+      ...checkReferences(config, manifest.files)
+    ];
+    
+    if (errors.length > 0) {
+      const label = environment ? `${options.config} (environment ${environment})` : options.config;
+      throw new CliError(`${label} has broken references`, errors);
+    }
+  }
+  
+  const count = Object.keys(manifest.files).length;
+  if (options.check) {
+    console.log(`[Page9] ${count} files, all references resolve`);
+    return;
+  }
+  
+  await fs.writeFile(path.join(options.root, options.out), JSON.stringify(manifest, null, 2) + '\n');
+  console.log(`[Page9] Wrote ${options.out}: ${count} files, revision ${manifest.revision.substring(0, 12)}`);
+}
+
+/**
+ * Read the Schema Source
+ * Resolves with page9.config.json without its $schema, or null when the
+ * file next to the CLI is a site config rather than the schema
+ */
+async function readSchemaSource() {
+  let text;
+  try {
+    text = await fs.readFile(SCHEMA_SOURCE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  
+  const document = JSON.parse(text);
+  if (!loadSchema().isConfigSchemaDocument(document)) return null;
+  
+  const { $schema, ...schemaSource } = document;
+  return schemaSource;
+}
+
+/**
+ * Check the Validator's Schema Against Its Source
+ */
+function checkSchemaSync(source) {
+  if (!source) return;
+  
+  const compiled = vm.runInContext('JSON.stringify(PAGE9_CONFIG_SCHEMA)', loadSchema());
+  if (compiled !== JSON.stringify(source)) {
+    throw new CliError('page9-schema.js does not match the schema in page9.config.json', [
+      'Run node page9-cli.js schema to regenerate it'
+    ]);
+  }
+}
+
+/**
+ * Regenerate the Validator's Schema
+ * Rewrites PAGE9_CONFIG_SCHEMA in page9-schema.js from page9.config.json
+ */
+async function schemaCommand() {
+  const source = await readSchemaSource();
+  if (!source) {
+    throw new CliError(`${path.basename(SCHEMA_SOURCE)} next to the CLI is not the config schema`);
+  }
+  
+  const script = await fs.readFile(SCHEMA_SCRIPT, 'utf8');
+  const start = script.indexOf('const PAGE9_CONFIG_SCHEMA = ');
+  const end = script.indexOf('\n};\n', start);
+  if (start < 0 || end < 0) {
+    throw new CliError('Cannot find PAGE9_CONFIG_SCHEMA in page9-schema.js');
+  }
+  
+  const literal = `const PAGE9_CONFIG_SCHEMA = ${formatLiteral(source)};\n`;
+  await fs.writeFile(SCHEMA_SCRIPT, script.substring(0, start) + literal + script.substring(end + 4));
+  console.log('[Page9] Regenerated the schema in page9-schema.js');
+}
+
+/**
+ * Format a JSON Value as a JavaScript Literal
+ * In the repo's style: single quotes, bare keys where possible, and
+ * arrays of strings on one line
+ */
+function formatLiteral(value, indent = '') {
+  if (typeof value === 'string') {
+    return `'${JSON.stringify(value).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+  }
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  
+  const inner = indent + '  ';
+  if (Array.isArray(value)) {
+    if (value.every(item => typeof item === 'string')) {
+      return `[${value.map(item => formatLiteral(item)).join(', ')}]`;
+    }
+    return `[\n${value.map(item => inner + formatLiteral(item, inner)).join(',\n')}\n${indent}]`;
+  }
+  
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  
+  const lines = entries.map(([key, item]) => {
+    const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : formatLiteral(key);
+    return `${inner}${name}: ${formatLiteral(item, inner)}`;
+  });
+  return `{\n${lines.join(',\n')}\n${indent}}`;
+}
+
+/**
+ * Load the Shared 9P Protocol
+ * Runs page9-9p.js in a sandbox, like the config validator
+ */
+async function loadNineP() {
+  const sandbox = { Uint8Array, TextEncoder, atob, btoa, console, setTimeout, clearTimeout };
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+  vm.runInContext(await fs.readFile(path.join(__dirname, 'page9-9p.js'), 'utf8'), sandbox);
+  
+  return vm.runInContext(
+    '({ NinePClient, NINEP_VERSION, NINEP_MSIZE, encodeNinePMessage, decodeNinePMessage })',
+    sandbox
+  );
+}
+
+/**
+ * 9P File Server Operations
+ * Serve the site root with the kernel's message set. Files are read and
+ * written in place at the requested offsets
+ */
+const NINEP_FILE_OPERATIONS = {
+  Tversion: async (conn, { msize, version }) => {
+    await closeNinePFids(conn);
+    conn.msize = Math.min(msize || conn.protocol.NINEP_MSIZE, conn.protocol.NINEP_MSIZE);
+    const supported = version === conn.protocol.NINEP_VERSION;
+    return { msize: conn.msize, version: supported ? version : 'unknown' };
+  },
+  
+  // The attach name is walked one element at a time, so it cannot leave
+  // the site or reach files the manifest would skip
+  Tattach: async (conn, { fid, aname }) => {
+    if (conn.fids.has(fid)) {
+      throw new Error('fid already in use');
+    }
+    
+    let file = await statSiteFile(conn, '/');
+    for (const name of String(aname || '').split('/').filter(Boolean)) {
+      file = await statSiteFile(conn, childSitePath({ ...file, root: '/' }, name));
+    }
+    if (file.qid.type !== 'dir') {
+      throw new Error('not a directory');
+    }
+    
+    conn.fids.set(fid, { ...file, root: file.path });
+    return { qid: file.qid };
+  },
+  
+  Twalk: async (conn, { fid, newfid, wnames = [] }) => {
+    const file = getFileFid(conn, fid);
+    if (file.handle || file.entries) {
+      throw new Error('cannot walk an open fid');
+    }
+    if (newfid !== fid && conn.fids.has(newfid)) {
+      throw new Error('fid already in use');
+    }
+    
+    let current = file;
+    const wqids = [];
+    for (const name of wnames) {
+      try {
+        if (current.qid.type !== 'dir') {
+          throw new Error('walk in non-directory');
+        }
+        current = await statSiteFile(conn, childSitePath(current, name));
+      } catch (error) {
+        if (wqids.length === 0) throw error;
+        break;
+      }
+      wqids.push(current.qid);
+    }
+    
+    if (wqids.length === wnames.length) {
+      conn.fids.set(newfid, { ...current, root: file.root });
+    }
+    return { wqids };
+  },
+  
+  Topen: async (conn, { fid, mode = 0 }) => {
+    const { OWRITE, OTRUNC } = conn.protocol.NinePClient;
+    const file = getFileFid(conn, fid);
+    if (file.handle || file.entries) {
+      throw new Error('file already open');
+    }
+    
+    const access = mode & 3;
+    if (!conn.writable && (access !== 0 || mode & OTRUNC)) {
+      throw new Error('permission denied: the server is read-only');
+    }
+    if (file.qid.type === 'dir') {
+      if (access !== 0) {
+        throw new Error('is a directory');
+      }
+      file.entries = await listSiteDirectory(conn, file.path);
+    } else {
+      file.handle = await fs.open(conn.realPath(file.path), access === 0 ? 'r' : 'r+');
+      if (mode & OTRUNC) {
+        await file.handle.truncate(0);
+      }
+    }
+    
+    file.mode = access;
+    file.writable = access === OWRITE || access === 2;
+    return { qid: file.qid, iounit: conn.msize };
+  },
+  
+  Tread: async (conn, { fid, offset = 0, count = conn.msize }) => {
+    const file = getFileFid(conn, fid);
+    if (file.entries) {
+      return { entries: file.entries.slice(offset, offset + count) };
+    }
+    if (!file.handle || file.mode === conn.protocol.NinePClient.OWRITE) {
+      throw new Error('file not open for reading');
+    }
+    
+    const buffer = Buffer.alloc(Math.min(count, conn.msize));
+    const { bytesRead } = await file.handle.read(buffer, 0, buffer.length, offset);
+    return { data: buffer.subarray(0, bytesRead) };
+  },
+  
+  Twrite: async (conn, { fid, offset = 0, data }) => {
+    const file = getFileFid(conn, fid);
+    if (!file.handle || !file.writable) {
+      throw new Error('file not open for writing');
+    }
+    
+    const { bytesWritten } = await file.handle.write(Buffer.from(data), 0, data.length, offset);
+    return { count: bytesWritten };
+  },
+  
+  Tstat: async (conn, { fid }) => {
+    const file = getFileFid(conn, fid);
+    const { stat } = await statSiteFile(conn, file.path);
+    return { stat };
+  },
+  
+  Tclunk: async (conn, { fid }) => {
+    const file = getFileFid(conn, fid);
+    conn.fids.delete(fid);
+    await file.handle?.close();
+    return {};
+  }
+};
+
+/**
+ * Get a 9P Fid
+ */
+function getFileFid(conn, fid) {
+  const file = conn.fids.get(fid);
+  if (!file) {
+    throw new Error('fid unknown or out of use');
+  }
+  return file;
+}
+
+/**
+ * Close Every Fid of a Connection
+ */
+async function closeNinePFids(conn) {
+  const files = Array.from(conn.fids.values());
+  conn.fids.clear();
+  await Promise.all(files.map(file => file.handle?.close().catch(() => {})));
+}
+
+/**
+ * Child Site Path for a Walk
+ * ".." never leaves the attached root
+ */
+function childSitePath(file, name) {
+  if (name === '..') {
+    return file.path === file.root ? file.path : path.posix.dirname(file.path);
+  }
+  
+  if (!name || name === '.' || name.includes('/')) {
+    throw new Error(`bad path element: ${name}`);
+  }
+  
+  return path.posix.join(file.path, name);
+}
+
+/**
+ * Stat a Site File
+ * Files the manifest would skip do not exist, and neither do symbolic
+ * links, which could lead out of the site
+ */
+async function statSiteFile(conn, sitePath) {
+  if (sitePath !== '/' && !isServed(sitePath, conn.excludes)) {
+    throw new Error('file does not exist');
+  }
+  
+  let stats;
+  try {
+    stats = await fs.lstat(conn.realPath(sitePath));
+  } catch (error) {
+    throw new Error('file does not exist');
+  }
+  
+  if (!stats.isDirectory() && !stats.isFile()) {
+    throw new Error('file does not exist');
+  }
+  
+  const type = stats.isDirectory() ? 'dir' : 'file';
+  const qid = { type, path: sitePath, version: String(Math.floor(stats.mtimeMs)) };
+  
+  return {
+    path: sitePath,
+    qid,
+    stat: {
+      name: path.posix.basename(sitePath) || '/',
+      type,
+      size: type === 'dir' ? 0 : stats.size,
+      modified: stats.mtime.toISOString(),
+      contentType: type === 'dir' ? undefined : loadSchema().guessContentType(sitePath),
+      qid
+    }
+  };
+}
+
+/**
+ * List a Site Directory as Stat Entries
+ */
+async function listSiteDirectory(conn, sitePath) {
+  const names = (await fs.readdir(conn.realPath(sitePath))).sort();
+  const entries = [];
+  
+  for (const name of names) {
+    try {
+      entries.push((await statSiteFile(conn, path.posix.join(sitePath, name))).stat);
+    } catch (error) {
+      // Skipped, or removed while listing
+    }
+  }
+  
+  return entries;
+}
+
+/**
+ * Accept a WebSocket Connection
+ * Implements the server side of RFC 6455 for text messages. Returns a
+ * function that sends a text message
+ */
+function acceptWebSocket(request, socket, onMessage) {
+  const key = request.headers['sec-websocket-key'];
+  if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+  
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+  
+  const send = (opcode, payload) => {
+    if (socket.destroyed) return;
+    
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    socket.write(Buffer.concat([header, payload]));
+  };
+  
+  let buffered = Buffer.alloc(0);
+  let fragments = [];
+  
+  socket.on('data', (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    
+    for (let frame; (frame = readWebSocketFrame(buffered));) {
+      if (frame.oversized) {
+        send(0x8, Buffer.from([0x03, 0xf1]));
+        socket.end();
+        return;
+      }
+      
+      buffered = buffered.subarray(frame.size);
+      
+      switch (frame.opcode) {
+        case 0x0:
+        case 0x1:
+        case 0x2:
+          fragments.push(frame.payload);
+          if (frame.fin) {
+            onMessage(Buffer.concat(fragments).toString('utf8'));
+            fragments = [];
+          }
+          break;
+        case 0x8:
+          send(0x8, frame.payload.subarray(0, 2));
+          socket.end();
+          return;
+        case 0x9:
+          send(0xa, frame.payload);
+          break;
+      }
+    }
+  });
+  
+  socket.on('error', () => socket.destroy());
+  
+  return text => send(0x1, Buffer.from(text, 'utf8'));
+}
+
+/**
+ * Read a WebSocket Frame
+ * Returns null until the whole frame has arrived
+ */
+function readWebSocketFrame(buffer) {
+  if (buffer.length < 2) return null;
+  
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  
+  // Oversized frames are refused before their payload arrives
+  if (length > MAX_FRAME_SIZE) {
+    return { oversized: true };
+  }
+  
+  const masked = (buffer[1] & 0x80) !== 0;
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+  
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+  }
+  
+  return {
+    fin: (buffer[0] & 0x80) !== 0,
+    opcode: buffer[0] & 0x0f,
+    payload,
+    size: offset + length
+  };
+}
+
+/**
+ * Create a 9P Connection
+ * The state of one client: its fids, and the site root it may reach
+ */
+function createNinePConnection(protocol, options) {
+  return {
+    protocol,
+    realPath: sitePath => path.join(options.root, sitePath),
+    excludes: options.exclude,
+    writable: options.writable,
+    msize: protocol.NINEP_MSIZE,
+    fids: new Map()
+  };
+}
+
+/**
+ * 9P Command
+ * Resolves once the server is listening; it runs until interrupted
+ */
+async function ninePCommand(options) {
+  const protocol = await loadNineP();
+  const root = options.root;
+  
+  const server = http.createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain', Upgrade: 'websocket' });
+    response.end('Connect with a WebSocket\n');
+  });
+  
+  server.on('upgrade', (request, socket) => {
+    // Any page open in the browser could otherwise reach the site files
+    const origin = request.headers.origin;
+    if (!isOriginAllowed(origin, options.origins)) {
+      console.warn(`[Page9] Refused 9P connection from origin ${origin}`);
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+    
+    const conn = createNinePConnection(protocol, options);
+    
+    const send = acceptWebSocket(request, socket, async (text) => {
+      let message;
+      let reply;
+      
+      try {
+        message = protocol.decodeNinePMessage(text);
+        const operation = NINEP_FILE_OPERATIONS[message.type];
+        if (!operation) {
+          throw new Error(`unknown message type: ${message.type}`);
+        }
+        reply = { ...await operation(conn, message), type: 'R' + message.type.substring(1) };
+      } catch (error) {
+        reply = { type: 'Rerror', ename: error.message };
+      }
+      
+      send(protocol.encodeNinePMessage({ ...reply, tag: message?.tag }));
+    });
+    
+    socket.on('close', () => closeNinePFids(conn));
+    if (send) {
+      console.log(`[Page9] 9P client connected from ${socket.remoteAddress}`);
+    }
+  });
+  
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, resolve);
+  });
+  
+  const { port } = server.address();
+  console.log(`[Page9] Serving ${root} over 9P on ws://${options.host}:${port}/${options.writable ? '' : ' (read-only)'}`);
+}
+
+const COMMANDS = {
+  manifest: manifestCommand,
+  '9p': ninePCommand,
+  schema: schemaCommand
+};
+
+/**
+ * Main
+ */
+async function main(argv) {
+  const options = parseArgs(argv);
+  
+  if (options.help || !options.command) {
+    console.log(USAGE);
+    return options.help ? 0 : 1;
+  }
+  
+  const command = COMMANDS[options.command];
+  if (!command) {
+    throw new CliError(`Unknown command: ${options.command}`);
+  }
+  
+  await command(options);
+  return 0;
+}
+
+// The tests drive the commands and the 9P server without a process
+module.exports = {
+  parseArgs,
+  isOriginAllowed,
+  loadNineP,
+  createNinePConnection,
+  closeNinePFids,
+  NINEP_FILE_OPERATIONS
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    error => {
+      if (error instanceof CliError) {
+        console.error(`[Page9] ${error.message}`);
+        error.details.forEach(detail => console.error(`  ${detail}`));
+      } else {
+        console.error('[Page9]', error);
+      }
+      process.exitCode = 1;
+    }
+  );
+}
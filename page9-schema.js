@@ -0,0 +1,984 @@
+/**
+ * Page9 Configuration Schema
+ * 
+ * Shared by the kernel (sw.js), the client runtime (page9.js) and the CLI.
+ * Mirrors the JSON Schema in page9.config.json, validates configurations
+ * against the subset of draft-07 it uses, and assembles layered configs
+ * from includes and environment overlays. Also holds the glob matching
+ * and content types the config's patterns and files rely on.
+ */
+
+const PAGE9_CONFIG_SCHEMA = {
+  title: 'Page9 Configuration',
+  description: 'Configuration file for Page9 - Plan9 philosophy applied to GitHub Pages',
+  type: 'object',
+  definitions: {
+    cachingStrategy: {
+      type: 'string',
+      enum: ['network-first', 'cache-first', 'stale-while-revalidate', 'network-only', 'cache-only']
+    },
+    mount: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'Virtual mount path'
+        },
+        target: {
+          type: 'string',
+          description: 'Actual file or directory path (kernel path for synthetic mounts, store name for store mounts, ws:// or wss:// server URL for 9p mounts, snapshot name or * for snapshot mounts)'
+        },
+        type: {
+          type: 'string',
+          enum: ['file', 'dir', 'synthetic', 'store', '9p', 'snapshot'],
+          description: 'Type of mount'
+        },
+        bind: {
+          type: 'string',
+          enum: ['before', 'after', 'replace'],
+          default: 'after',
+          description: 'How the mount joins a union on the same path (Plan9 bind -b/-a)'
+        },
+        cache: {
+          $ref: '#/definitions/cachePolicy'
+        }
+      },
+      required: ['path', 'target', 'type']
+    },
+    wasmType: {
+      type: 'string',
+      enum: ['i32', 'i64', 'f32', 'f64', 'i8[]', 'u8[]', 'i16[]', 'u16[]', 'i32[]', 'u32[]', 'i64[]', 'u64[]', 'f32[]', 'f64[]'],
+      description: 'WebAssembly value type, or an array of one'
+    },
+    cachePolicy: {
+      type: 'object',
+      description: 'Caching policy for a route, mount or cache rule',
+      properties: {
+        strategy: {
+          $ref: '#/definitions/cachingStrategy',
+          description: 'Defaults to kernel.cachingStrategy'
+        },
+        maxAgeSeconds: {
+          type: 'number',
+          minimum: 0,
+          description: 'Cached responses older than this are treated as misses'
+        },
+        maxEntries: {
+          type: 'number',
+          minimum: 0,
+          description: 'Least recently used entries beyond this are evicted from the cache'
+        },
+        name: {
+          type: 'string',
+          description: 'Separate named cache for these responses'
+        }
+      }
+    }
+  },
+  properties: {
+    include: {
+      type: 'array',
+      description: 'Config fragments deep-merged in order beneath this file; paths are relative to it',
+      items: {
+        type: 'string'
+      }
+    },
+    environments: {
+      type: 'object',
+      description: 'Overlays merged over the config for one environment, chosen by the page9-env flag or else the first matching hostname',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          hosts: {
+            type: 'array',
+            description: 'Hostname patterns such as staging.example.com or *.example.com',
+            items: {
+              type: 'string'
+            }
+          },
+          config: {
+            type: 'string',
+            description: 'Overlay file; defaults to page9.config.NAME.json beside the main config'
+          }
+        }
+      }
+    },
+    namespace: {
+      type: 'object',
+      description: 'Namespace configuration - Plan9 style file mounting',
+      properties: {
+        root: {
+          type: 'string',
+          description: 'Root path for the namespace',
+          default: '/'
+        },
+        mounts: {
+          type: 'array',
+          description: 'Mount points for files and resources',
+          items: {
+            $ref: '#/definitions/mount'
+          }
+        }
+      }
+    },
+    kernel: {
+      type: 'object',
+      description: 'Service Worker kernel configuration',
+      properties: {
+        version: {
+          type: 'string',
+          description: 'Kernel version'
+        },
+        cachingStrategy: {
+          $ref: '#/definitions/cachingStrategy',
+          default: 'cache-first'
+        },
+        cacheRules: {
+          type: 'array',
+          description: 'Cache policies for unrouted requests, first matching pattern wins',
+          items: {
+            allOf: [
+              {
+                $ref: '#/definitions/cachePolicy'
+              },
+              {
+                properties: {
+                  pattern: {
+                    type: 'string'
+                  }
+                },
+                required: ['pattern']
+              }
+            ]
+          }
+        },
+        interceptPatterns: {
+          type: 'array',
+          description: 'URL patterns to intercept',
+          items: {
+            type: 'string'
+          },
+          default: ['/*']
+        },
+        excludePatterns: {
+          type: 'array',
+          description: 'URL patterns never intercepted, even when they match interceptPatterns',
+          items: {
+            type: 'string'
+          },
+          default: []
+        },
+        interceptMethods: {
+          type: 'array',
+          description: 'HTTP methods the kernel takes over; other requests go straight to the network, except writes to store mounts',
+          items: {
+            type: 'string',
+            enum: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS']
+          },
+          default: ['GET', 'HEAD']
+        },
+        outbox: {
+          type: 'object',
+          description: 'Writes queued in IndexedDB while offline and replayed in order when the network returns',
+          properties: {
+            patterns: {
+              type: 'array',
+              description: 'Path patterns whose writes are queued',
+              items: {
+                type: 'string'
+              }
+            },
+            methods: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['POST', 'PUT', 'PATCH', 'DELETE']
+              },
+              default: ['POST', 'PUT', 'PATCH', 'DELETE']
+            },
+            maxAttempts: {
+              type: 'integer',
+              minimum: 1,
+              default: 10,
+              description: 'Server errors (5xx) tolerated before a queued write is dropped'
+            }
+          },
+          required: ['patterns']
+        },
+        precache: {
+          type: 'object',
+          description: 'Assets downloaded at install and served offline; only changed revisions are downloaded again',
+          properties: {
+            manifest: {
+              type: 'boolean',
+              default: false,
+              description: 'Precache every file in page9-manifest.json, revisioned by content hash'
+            },
+            assets: {
+              type: 'array',
+              description: 'Paths, or objects with a url and an explicit revision',
+              items: {
+                type: ['string', 'object'],
+                properties: {
+                  url: {
+                    type: 'string'
+                  },
+                  revision: {
+                    type: 'string'
+                  }
+                },
+                required: ['url']
+              }
+            },
+            exclude: {
+              type: 'array',
+              description: 'URL patterns never precached',
+              items: {
+                type: 'string'
+              }
+            }
+          }
+        }
+      }
+    },
+    workers: {
+      type: 'object',
+      description: 'Web Worker configuration for process isolation',
+      properties: {
+        enabled: {
+          type: 'boolean',
+          default: true
+        },
+        pool: {
+          type: 'object',
+          properties: {
+            min: {
+              type: 'integer',
+              minimum: 0,
+              default: 1
+            },
+            max: {
+              type: 'integer',
+              minimum: 1,
+              default: 4
+            },
+            idleTimeout: {
+              type: 'number',
+              minimum: 0,
+              default: 30000,
+              description: 'Milliseconds an idle worker above pool.min waits before it is retired'
+            },
+            script: {
+              type: 'string',
+              description: 'Worker script run by pool workers (defaults to the built-in worker)'
+            }
+          }
+        },
+        healthCheck: {
+          type: 'object',
+          description: 'Worker health checks through the STATUS message',
+          properties: {
+            interval: {
+              type: 'number',
+              minimum: 0,
+              default: 30000,
+              description: 'Milliseconds between checks of idle workers (0 disables)'
+            },
+            timeout: {
+              type: 'number',
+              minimum: 0,
+              default: 5000
+            },
+            startTimeout: {
+              type: 'number',
+              minimum: 0,
+              default: 10000,
+              description: 'Time a new worker has to answer its first STATUS'
+            }
+          }
+        },
+        modules: {
+          type: 'array',
+          description: 'Worker modules to load',
+          items: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string'
+              },
+              path: {
+                type: 'string',
+                description: 'Worker script, or the .wasm file of a wasm module'
+              },
+              type: {
+                type: 'string',
+                enum: ['module', 'classic', 'wasm'],
+                default: 'module'
+              },
+              exports: {
+                type: 'object',
+                description: 'Message types served by a wasm module; by default every exported function is served under its own name and takes numbers',
+                additionalProperties: {
+                  type: 'object',
+                  properties: {
+                    export: {
+                      type: 'string',
+                      description: 'Exported function to call; defaults to the message type'
+                    },
+                    params: {
+                      type: 'array',
+                      description: 'Parameter types; arrays are copied into linear memory and passed as pointer and length',
+                      items: {
+                        $ref: '#/definitions/wasmType'
+                      }
+                    },
+                    output: {
+                      type: 'object',
+                      description: 'Array the function writes its result to, passed last as pointer and length and returned as the reply',
+                      properties: {
+                        type: {
+                          $ref: '#/definitions/wasmType'
+                        },
+                        length: {
+                          type: 'integer',
+                          minimum: 0,
+                          description: 'Number of elements'
+                        },
+                        lengthOf: {
+                          type: 'integer',
+                          minimum: 0,
+                          description: 'Index of the argument whose length the output shares'
+                        }
+                      },
+                      required: ['type']
+                    }
+                  }
+                }
+              },
+              allocator: {
+                type: 'object',
+                description: 'Exported functions a wasm module allocates and frees linear memory with',
+                properties: {
+                  alloc: {
+                    type: 'string',
+                    default: 'alloc',
+                    description: 'Takes a size in bytes and returns a pointer'
+                  },
+                  free: {
+                    type: 'string',
+                    default: 'free',
+                    description: 'Takes a pointer and size; optional'
+                  }
+                }
+              },
+              restart: {
+                type: 'string',
+                enum: ['always', 'on-failure', 'never'],
+                default: 'on-failure',
+                description: 'Restart policy after the worker crashes'
+              },
+              backoff: {
+                type: 'object',
+                description: 'Delay between restarts, doubling after each consecutive crash',
+                properties: {
+                  initialDelay: {
+                    type: 'number',
+                    minimum: 0,
+                    default: 1000
+                  },
+                  maxDelay: {
+                    type: 'number',
+                    minimum: 0,
+                    default: 30000
+                  },
+                  maxRestarts: {
+                    type: 'integer',
+                    minimum: 0,
+                    default: 5,
+                    description: 'Consecutive restarts allowed by the on-failure policy'
+                  }
+                }
+              },
+              namespace: {
+                type: 'object',
+                description: 'Private view of the site for requests made by this worker; not allowed on wasm modules',
+                properties: {
+                  root: {
+                    type: 'string',
+                    default: '/',
+                    description: 'Directory that unmounted paths resolve under'
+                  },
+                  mounts: {
+                    type: 'array',
+                    description: 'Mounts seen only by this worker, resolved before anything else',
+                    items: {
+                      $ref: '#/definitions/mount'
+                    }
+                  },
+                  hide: {
+                    type: 'array',
+                    description: 'Path patterns the worker cannot see; hiding a directory hides everything under it',
+                    items: {
+                      type: 'string'
+                    }
+                  }
+                }
+              }
+            },
+            required: ['name', 'path']
+          }
+        }
+      }
+    },
+    routes: {
+      type: 'object',
+      description: 'File-based routing configuration',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          file: {
+            type: 'string',
+            description: 'File to serve; {name} is replaced by the captured :name or *name'
+          },
+          headers: {
+            type: 'object',
+            description: 'Response headers; values may use {name} templates',
+            additionalProperties: {
+              type: 'string'
+            }
+          },
+          priority: {
+            type: 'number',
+            default: 0,
+            description: 'Higher priority routes are tried first; ties go to the most specific pattern'
+          },
+          constraints: {
+            type: 'object',
+            description: 'Regular expressions that :name captures must match',
+            additionalProperties: {
+              type: 'string'
+            }
+          },
+          transform: {
+            type: 'string',
+            description: 'Optional worker module (by name) to transform response'
+          },
+          cache: {
+            $ref: '#/definitions/cachePolicy'
+          }
+        },
+        required: ['file']
+      }
+    },
+    redirects: {
+      type: 'array',
+      description: 'Redirects answered by the kernel, first matching pattern wins',
+      items: {
+        type: 'object',
+        properties: {
+          from: {
+            type: 'string',
+            description: 'Route pattern to match'
+          },
+          to: {
+            type: 'string',
+            description: 'Target path or URL; {name} is replaced by captures'
+          },
+          status: {
+            type: 'integer',
+            enum: [
+              301,
+              302,
+              303,
+              307,
+              308
+            ],
+            default: 301
+          },
+          constraints: {
+            type: 'object',
+            additionalProperties: {
+              type: 'string'
+            }
+          }
+        },
+        required: ['from', 'to']
+      }
+    },
+    rewrites: {
+      type: 'array',
+      description: 'Internal rewrites applied before routing, first matching pattern wins',
+      items: {
+        type: 'object',
+        properties: {
+          from: {
+            type: 'string',
+            description: 'Route pattern to match'
+          },
+          to: {
+            type: 'string',
+            description: 'Path served instead; {name} is replaced by captures'
+          },
+          constraints: {
+            type: 'object',
+            additionalProperties: {
+              type: 'string'
+            }
+          }
+        },
+        required: ['from', 'to']
+      }
+    },
+    fallback: {
+      type: ['string', 'object'],
+      description: 'Document served for navigations that are not found or offline (single-page apps)',
+      properties: {
+        file: {
+          type: 'string'
+        },
+        exclude: {
+          type: 'array',
+          description: 'Path patterns that never get the fallback',
+          items: {
+            type: 'string'
+          }
+        }
+      },
+      required: ['file']
+    },
+    errorPages: {
+      type: 'object',
+      description: 'Documents served for failed navigations, keyed by status code (503 when offline)',
+      additionalProperties: {
+        type: 'string'
+      }
+    },
+    plumbing: {
+      type: 'object',
+      description: 'Plumber-style routing of typed messages between workers and pages',
+      properties: {
+        rules: {
+          type: 'array',
+          description: 'Tried in order; the first matching rule delivers the message',
+          items: {
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                description: 'Message type pattern; * matches any run of characters'
+              },
+              source: {
+                type: 'string',
+                description: 'Sender pattern: a worker name, or page'
+              },
+              pattern: {
+                type: 'string',
+                description: 'Pattern the message path must match'
+              },
+              worker: {
+                type: 'string',
+                description: 'Worker module receiving the message as a PLUMB call'
+              },
+              port: {
+                type: 'string',
+                description: 'Port whose listeners receive the message, in every tab'
+              }
+            },
+            required: ['type']
+          }
+        },
+        deadLetter: {
+          type: 'string',
+          default: 'dead-letter',
+          description: 'Port receiving unmatched and undeliverable messages'
+        },
+        timeout: {
+          type: 'number',
+          minimum: 0,
+          default: 30000,
+          description: 'Milliseconds a worker has to handle a PLUMB call (0 for none)'
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Validate Configuration
+ * Returns a list of { path, message } errors, empty when valid. Given the
+ * sources of a layered config, each error also names the file it came from
+ */
+function validatePage9Config(config, sources = null) {
+  const errors = [];
+  if (isConfigSchemaDocument(config)) {
+    errors.push({ path: 'config', message: 'is the JSON Schema for Page9 configs, not a config; start from page9.config.example.json' });
+  } else {
+    validateSchemaNode(config, PAGE9_CONFIG_SCHEMA, 'config', errors);
+    validateWorkerModules(config, errors);
+  }
+  
+  if (sources) {
+    errors.forEach(error => { error.file = findConfigSource(sources, error.path); });
+  }
+  return errors;
+}
+
+/**
+ * Is a Document the Config Schema
+ * page9.config.json ships as the JSON Schema for configs. Loaded as a
+ * config it would pass validation while configuring nothing. A config
+ * may still name the schema in $schema
+ */
+function isConfigSchemaDocument(config) {
+  return describeType(config) === 'object' && 'properties' in config &&
+    !('routes' in config) && !('namespace' in config);
+}
+
+/**
+ * Validate Worker Modules
+ * What the schema cannot express: the wasm host only fetches its .wasm
+ * file, so a namespace on a wasm module would never apply
+ */
+function validateWorkerModules(config, errors) {
+  const modules = config?.workers?.modules;
+  if (!Array.isArray(modules)) return;
+  
+  modules.forEach((module, index) => {
+    if (module?.type === 'wasm' && module.namespace !== undefined) {
+      errors.push({ path: `config.workers.modules[${index}].namespace`, message: 'not allowed on wasm modules' });
+    }
+  });
+}
+
+/**
+ * Format Validation Errors
+ */
+function formatConfigErrors(errors) {
+  return errors
+    .map(error => `${error.path}: ${error.message}${error.file ? ` (${error.file})` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Load a Layered Configuration
+ * readJson(path) resolves with a parsed file, or null when it does not
+ * exist. Each file's includes are merged first, then the file itself, then
+ * the overlay of the environment named by options.environment or matching
+ * options.hostname. Resolves with { config, environment, files, sources },
+ * where sources maps each value's path to the file that set it, or with
+ * null when the main config does not exist
+ */
+async function loadPage9Config(path, readJson, options = {}) {
+  const values = await readJson(path);
+  if (values === null) return null;
+  
+  const layered = { config: {}, environment: null, files: [], sources: {} };
+  await applyConfigLayer(layered, path, values, readJson, [path]);
+  
+  const environments = layered.config.environments || {};
+  layered.environment = selectConfigEnvironment(environments, options);
+  
+  if (layered.environment) {
+    const overlay = environments[layered.environment].config ||
+      path.replace(/(\.json)?$/, `.${layered.environment}.json`);
+    const overlayPath = resolveConfigPath(overlay, path);
+    const overlayValues = await readJson(overlayPath);
+    if (overlayValues === null) {
+      throw new Error(`${overlayPath}: overlay for environment ${layered.environment} not found`);
+    }
+    
+    await applyConfigLayer(layered, overlayPath, overlayValues, readJson, [overlayPath]);
+  }
+  
+  return layered;
+}
+
+/**
+ * Fetch a Config File
+ * The readJson of the kernel and pages: resolves with null when the file
+ * is not served
+ */
+async function fetchConfigFile(path) {
+  const response = await fetch(path);
+  if (!response.ok) return null;
+  
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new Error(`${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Apply a Config File
+ * Its includes are applied first, depth first. The chain of files being
+ * included is kept to catch cycles
+ */
+async function applyConfigLayer(layered, file, values, readJson, chain) {
+  if (describeType(values) !== 'object') {
+    throw new Error(`${file}: expected an object`);
+  }
+  
+  const { include = [], ...own } = values;
+  if (!Array.isArray(include)) {
+    throw new Error(`${file}: include must be a list of paths`);
+  }
+  
+  for (const reference of include) {
+    const includePath = resolveConfigPath(reference, file);
+    if (chain.includes(includePath)) {
+      throw new Error(`Include cycle: ${[...chain, includePath].join(' -> ')}`);
+    }
+    
+    const fragment = await readJson(includePath);
+    if (fragment === null) {
+      throw new Error(`${file}: included file ${includePath} not found`);
+    }
+    
+    await applyConfigLayer(layered, includePath, fragment, readJson, [...chain, includePath]);
+  }
+  
+  layered.files.push(file);
+  mergeConfigLayer(layered.config, own, 'config', file, layered.sources);
+}
+
+/**
+ * Deep-Merge a Config Layer
+ * Objects merge key by key; arrays and other values replace what was
+ * there, and null removes it
+ */
+function mergeConfigLayer(target, values, path, file, sources) {
+  for (const [key, value] of Object.entries(values)) {
+    const childPath = configChildPath(path, key);
+    
+    if (describeType(value) === 'object') {
+      if (describeType(target[key]) !== 'object') {
+        clearConfigSources(sources, childPath);
+        target[key] = {};
+      }
+      mergeConfigLayer(target[key], value, childPath, file, sources);
+      continue;
+    }
+    
+    clearConfigSources(sources, childPath);
+    if (value === null) {
+      delete target[key];
+    } else {
+      target[key] = value;
+      sources[childPath] = file;
+    }
+  }
+}
+
+/**
+ * Clear the Sources of a Value and Everything Under It
+ */
+function clearConfigSources(sources, path) {
+  for (const key of Object.keys(sources)) {
+    if (key === path || isConfigPathWithin(key, path)) {
+      delete sources[key];
+    }
+  }
+}
+
+/**
+ * Find the File a Config Path Came From
+ * A value inside an array or object set as a whole comes from the file
+ * that set it; an object comes from the file that set its first value
+ */
+function findConfigSource(sources, path) {
+  const paths = Object.keys(sources);
+  const owner = paths.find(key => key === path || isConfigPathWithin(path, key)) ||
+    paths.find(key => isConfigPathWithin(key, path));
+  return owner ? sources[owner] : null;
+}
+
+/**
+ * Is a Config Path Inside Another
+ */
+function isConfigPathWithin(path, parent) {
+  return path.startsWith(parent + '.') || path.startsWith(parent + '[');
+}
+
+/**
+ * Select the Config Environment
+ * An explicit name must be declared; otherwise the first environment
+ * with a matching host pattern is used, if any
+ */
+function selectConfigEnvironment(environments, options) {
+  if (options.environment) {
+    if (!environments[options.environment]) {
+      throw Object.assign(new Error(`Unknown environment: ${options.environment}`), { code: 'UNKNOWN_ENVIRONMENT' });
+    }
+    return options.environment;
+  }
+  
+  if (!options.hostname) return null;
+  
+  for (const [name, environment] of Object.entries(environments)) {
+    if ((environment.hosts || []).some(pattern => matchHostPattern(options.hostname, pattern))) {
+      return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Match a Hostname Against a Pattern
+ * "*" matches any run of characters
+ */
+function matchHostPattern(hostname, pattern) {
+  return matchPattern(hostname.toLowerCase(), pattern.toLowerCase());
+}
+
+/**
+ * Resolve a Config File Reference
+ * Paths are site paths, relative to the file that names them
+ */
+function resolveConfigPath(reference, from) {
+  if (/^[a-z][a-z\d+.-]*:/i.test(reference)) {
+    throw new Error(`${from}: config files must be on the same site, not ${reference}`);
+  }
+  
+  return new URL(reference, new URL(from, 'http://page9')).pathname;
+}
+
+/**
+ * Child Path for Errors and Sources
+ */
+function configChildPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Validate a Value Against a Schema Node
+ */
+function validateSchemaNode(value, schema, path, errors) {
+  if (schema.$ref) {
+    validateSchemaNode(value, resolveSchemaRef(schema.$ref), path, errors);
+  }
+  
+  if (schema.allOf) {
+    schema.allOf.forEach(part => validateSchemaNode(value, part, path, errors));
+  }
+  
+  if (schema.type && !matchesSchemaType(value, schema.type)) {
+    const actual = describeType(value) === 'integer' ? 'number' : describeType(value);
+    errors.push({ path, message: `expected ${schema.type}, got ${actual}` });
+    return;
+  }
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})` });
+  }
+  
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push({ path, message: `must be at least ${schema.minimum}` });
+  }
+  
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      validateSchemaNode(item, schema.items, `${path}[${index}]`, errors);
+    });
+  }
+  
+  if (describeType(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path, message: `missing required property "${key}"` });
+      }
+    }
+    
+    for (const [key, item] of Object.entries(value)) {
+      const childPath = configChildPath(path, key);
+      
+      if (schema.properties && schema.properties[key]) {
+        validateSchemaNode(item, schema.properties[key], childPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'unknown property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateSchemaNode(item, schema.additionalProperties, childPath, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Resolve a Local Schema Reference (#/definitions/name)
+ */
+function resolveSchemaRef(ref) {
+  return ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => node[key], PAGE9_CONFIG_SCHEMA);
+}
+
+/**
+ * Match JSON Schema Type
+ */
+function matchesSchemaType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = describeType(value);
+  
+  return types.some(expected =>
+    expected === actual ||
+    (expected === 'number' && actual === 'integer')
+  );
+}
+
+/**
+ * Describe JSON Type of a Value
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Match a Glob Pattern
+ * "*" matches any run of characters; everything else is literal. The
+ * kernel's rules, plumbing rules and the CLI's excludes all use it
+ */
+function matchPattern(value, pattern) {
+  const source = pattern
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${source}$`).test(value);
+}
+
+/**
+ * Content Types by Extension
+ * For kernel writes without a Content-Type and the CLI's manifest and
+ * 9P server
+ */
+const PAGE9_CONTENT_TYPES = {
+  html: 'text/html',
+  css: 'text/css',
+  js: 'text/javascript',
+  mjs: 'text/javascript',
+  json: 'application/json',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  ico: 'image/x-icon',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  wasm: 'application/wasm'
+};
+
+/**
+ * Guess a Content Type From the Extension
+ */
+function guessContentType(path) {
+  const name = path.split('/').pop();
+  const dot = name.lastIndexOf('.');
+  const extension = dot > 0 ? name.substring(dot + 1).toLowerCase() : '';
+  return PAGE9_CONTENT_TYPES[extension] || 'application/octet-stream';
+}
@@ -0,0 +1,240 @@
+/**
+ * Page9 WebAssembly Host Worker
+ * 
+ * Runs a WebAssembly module declared in workers.modules with
+ * "type": "wasm". The page starts this worker with the module's spec in
+ * the URL fragment; exported functions are served as message types over
+ * the usual RPC protocol (see page9-worker.js).
+ * 
+ * Array arguments are copied into linear memory through the module's
+ * allocator and passed as (pointer, length). An array output is allocated
+ * the same way, passed last, and copied out as the reply.
+ */
+
+import { listen, transfer, RpcError } from '/page9-worker.js';
+
+const ARRAY_TYPES = {
+  'i8[]': Int8Array,
+  'u8[]': Uint8Array,
+  'i16[]': Int16Array,
+  'u16[]': Uint16Array,
+  'i32[]': Int32Array,
+  'u32[]': Uint32Array,
+  'i64[]': BigInt64Array,
+  'u64[]': BigUint64Array,
+  'f32[]': Float32Array,
+  'f64[]': Float64Array
+};
+
+const ready = instantiate(self.location.hash);
+
+listen(async (type, payload) => {
+  const { spec, handlers } = await ready;
+  
+  if (type === 'STATUS') {
+    return { active: true, module: spec.path, types: Array.from(handlers.keys()) };
+  }
+  if (type === 'CAPABILITIES') {
+    return Array.from(handlers.keys());
+  }
+  
+  const handler = handlers.get(type);
+  if (!handler) {
+    throw new RpcError(`Unknown message type: ${type}`, 'UNKNOWN_TYPE');
+  }
+  
+  return handler(payload);
+});
+
+ready.then(
+  ({ spec, handlers }) => {
+    self.postMessage({ capabilities: ['STATUS', 'CAPABILITIES', ...handlers.keys()] });
+    console.log(`[Page9 Worker] WebAssembly module loaded: ${spec.path}`);
+  },
+  // Thrown outside the promise so the page sees the worker crash
+  (error) => setTimeout(() => { throw error; })
+);
+
+/**
+ * Instantiate the Module
+ * Resolves with its spec, exports and a handler per message type. A bad
+ * spec rejects like a module that fails to load, so the worker crashes
+ * with the reason
+ */
+async function instantiate(hash) {
+  const spec = parseSpec(hash);
+  const { path, exports: exportSpecs, allocator = {} } = spec;
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw new Error(`Cannot load ${path}: ${response.status}`);
+  }
+  
+  const imports = {
+    env: {
+      // AssemblyScript and similar toolchains report failed assertions here
+      abort: () => { throw new RpcError(`${path} aborted`, 'WASM_TRAP'); }
+    }
+  };
+  
+  const { instance } = await WebAssembly.instantiate(await response.arrayBuffer(), imports);
+  const wasm = instance.exports;
+  const host = {
+    memory: wasm.memory,
+    alloc: wasm[allocator.alloc || 'alloc'],
+    free: wasm[allocator.free || 'free']
+  };
+  
+  // Without a map, every exported function but the allocator is served
+  // under its own name and takes plain numbers
+  const specs = exportSpecs || Object.fromEntries(Object.keys(wasm)
+    .filter(name => typeof wasm[name] === 'function' && wasm[name] !== host.alloc && wasm[name] !== host.free)
+    .map(name => [name, { export: name }]));
+  
+  const handlers = new Map();
+  for (const [type, callSpec] of Object.entries(specs)) {
+    const fn = wasm[callSpec.export || type];
+    if (typeof fn !== 'function') {
+      throw new Error(`${path} does not export a function ${callSpec.export || type}`);
+    }
+    if (callSpec.output && !ARRAY_TYPES[callSpec.output.type]) {
+      throw new Error(`${type}: output must be an array type, not ${callSpec.output.type}`);
+    }
+    
+    handlers.set(type, payload => callExport(fn, callSpec, payload, host));
+  }
+  
+  return { spec, wasm, handlers };
+}
+
+/**
+ * Parse the Module Spec From the URL Fragment
+ */
+function parseSpec(hash) {
+  let spec;
+  try {
+    spec = JSON.parse(decodeURIComponent(hash.substring(1)));
+  } catch (error) {
+    throw new Error(`Invalid wasm module spec in the URL fragment: ${error.message}`);
+  }
+  
+  if (typeof spec?.path !== 'string') {
+    throw new Error('The wasm module spec in the URL fragment names no path');
+  }
+  return spec;
+}
+
+/**
+ * Call an Exported Function
+ * A plain array payload is the list of arguments; anything else, such as
+ * a typed array, is the only argument. Arrays are only accepted where
+ * params declares an array type
+ */
+function callExport(fn, callSpec, payload, host) {
+  const params = callSpec.params;
+  const args = Array.isArray(payload)
+    ? payload
+    : payload === undefined || payload === null ? [] : [payload];
+  
+  const allocations = [];
+  try {
+    const wasmArgs = [];
+    const lengths = [];
+    args.forEach((arg, index) => {
+      const type = params?.[index];
+      if (ARRAY_TYPES[type]) {
+        const array = toTypedArray(arg, type);
+        const pointer = allocate(host, array.constructor, array.length, allocations);
+        new array.constructor(host.memory.buffer, pointer, array.length).set(array);
+        wasmArgs.push(pointer, array.length);
+        lengths[index] = array.length;
+      } else if (Array.isArray(arg) || ArrayBuffer.isView(arg) || arg instanceof ArrayBuffer) {
+        throw new RpcError(`Argument ${index} is an array, but its declared type is ${type || 'a number'}`, 'BAD_ARGUMENTS');
+      } else {
+        wasmArgs.push(type === 'i64' ? toBigInt(arg, index) : arg);
+      }
+    });
+    
+    const output = callSpec.output;
+    let outputPointer;
+    let outputLength;
+    if (output) {
+      outputLength = output.lengthOf !== undefined ? lengths[output.lengthOf] : output.length;
+      if (!Number.isInteger(outputLength)) {
+        throw new RpcError('Output length is unknown', 'BAD_ARGUMENTS');
+      }
+      
+      outputPointer = allocate(host, ARRAY_TYPES[output.type], outputLength, allocations);
+      wasmArgs.push(outputPointer, outputLength);
+    }
+    
+    const result = fn(...wasmArgs);
+    if (!output) {
+      return result ?? null;
+    }
+    
+    // Memory may have grown during the call, so the buffer is read afterwards
+    const Type = ARRAY_TYPES[output.type];
+    const copy = new Type(host.memory.buffer, outputPointer, outputLength).slice();
+    return transfer(copy, [copy.buffer]);
+  } catch (error) {
+    if (error instanceof WebAssembly.RuntimeError) {
+      throw new RpcError(error.message, 'WASM_TRAP');
+    }
+    throw error;
+  } finally {
+    for (const { pointer, bytes } of allocations) {
+      host.free?.(pointer, bytes);
+    }
+  }
+}
+
+/**
+ * Convert an i64 Argument to a BigInt
+ */
+function toBigInt(value, index) {
+  try {
+    return BigInt(value);
+  } catch {
+    throw new RpcError(`Argument ${index} must be an integer for i64, got ${JSON.stringify(value) ?? typeof value}`, 'BAD_ARGUMENTS');
+  }
+}
+
+/**
+ * Allocate Linear Memory
+ * The allocation is recorded so it can be freed after the call
+ */
+function allocate(host, Type, length, allocations) {
+  if (!host.alloc || !host.memory) {
+    throw new RpcError('The module exports no allocator or memory for array arguments', 'BAD_ARGUMENTS');
+  }
+  
+  const bytes = Math.max(length * Type.BYTES_PER_ELEMENT, 1);
+  const pointer = host.alloc(bytes);
+  allocations.push({ pointer, bytes });
+  
+  if (pointer % Type.BYTES_PER_ELEMENT !== 0) {
+    throw new RpcError(`Allocator returned a pointer misaligned for ${Type.name}`, 'BAD_ARGUMENTS');
+  }
+  return pointer;
+}
+
+/**
+ * Convert an Argument to a Typed Array
+ * Plain arrays and other typed arrays are copied into the declared type
+ */
+function toTypedArray(value, type) {
+  const Type = ARRAY_TYPES[type];
+  if (value instanceof Type) return value;
+  
+  if (value instanceof ArrayBuffer) {
+    if (value.byteLength % Type.BYTES_PER_ELEMENT !== 0) {
+      throw new RpcError(`Expected ${type}, got ${value.byteLength} bytes`, 'BAD_ARGUMENTS');
+    }
+    return new Type(value);
+  }
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+    return Type.from(value, item => (Type === BigInt64Array || Type === BigUint64Array ? BigInt(item) : item));
+  }
+  
+  throw new RpcError(`Expected ${type}, got ${typeof value}`, 'BAD_ARGUMENTS');
+}
@@ -0,0 +1,212 @@
+/**
+ * Page9 Worker Runtime
+ * 
+ * Worker side of the Page9 RPC protocol:
+ * - Requests:  { id, type, payload }
+ * - Cancel:    { id, cancel: true }
+ * - Progress:  { id, progress }
+ * - Replies:   { id, result } or { id, error: { name, message, code, stack } }
+ * 
+ * - Capabilities: { capabilities: [types] }, posted once by serve()
+ * - Plumbing:  { plumb: { type, path, data } }, routed by the page
+ * - 9P:        { connect: '9p', ref }, answered with { ninep: port, ref }
+ * 
+ * Usage (module worker):
+ *   import { serve, transfer, list, plumb, attach, RpcError } from '/page9-worker.js';
+ *   serve({
+ *     ECHO: (payload) => payload,
+ *     HASH: async (payload, { signal, progress }) => { ... },
+ *     PLUMB: (message) => plumb('document.indexed', { words }, { path: message.path })
+ *   });
+ */
+
+const calls = new Map();
+let connectCount = 0;
+
+/**
+ * RPC Error
+ * Thrown by handlers to reply with a specific error code
+ */
+export class RpcError extends Error {
+  constructor(message, code = 'HANDLER_ERROR') {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+  }
+}
+
+/**
+ * Transfer Wrapper
+ * Marks a result whose buffers should be transferred, not copied
+ */
+class Transfer {
+  constructor(value, transferList) {
+    this.value = value;
+    this.transferList = transferList;
+  }
+}
+
+/**
+ * Transfer a Value
+ * Return transfer(result, [buffer]) from a handler to move buffers
+ */
+export function transfer(value, transferList) {
+  return new Transfer(value, transferList);
+}
+
+/**
+ * Listen for RPC Calls
+ * The handler receives (type, payload, context) where context holds an
+ * AbortSignal for cancellation and a progress(data, transferList) function
+ */
+export function listen(handler) {
+  self.addEventListener('message', async (event) => {
+    const { id, type, payload, cancel } = event.data || {};
+    if (id === undefined) return;
+    
+    if (cancel) {
+      calls.get(id)?.abort();
+      return;
+    }
+    
+    const controller = new AbortController();
+    calls.set(id, controller);
+    
+    const context = {
+      signal: controller.signal,
+      progress(data, transferList = []) {
+        if (!controller.signal.aborted) {
+          self.postMessage({ id, progress: data }, transferList);
+        }
+      }
+    };
+    
+    try {
+      const value = await handler(type, payload, context);
+      
+      // The caller has already given up on a cancelled call
+      if (controller.signal.aborted) return;
+      
+      if (value instanceof Transfer) {
+        self.postMessage({ id, result: value.value }, value.transferList);
+      } else {
+        self.postMessage({ id, result: value });
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        self.postMessage({ id, error: serializeError(error) });
+      }
+    } finally {
+      calls.delete(id);
+    }
+  });
+}
+
+/**
+ * Serve Named Handlers
+ * Each handler receives (payload, context) and returns the result or a
+ * promise of it; thrown errors become error replies. STATUS and
+ * CAPABILITIES are provided unless the module defines its own, and the
+ * list of supported types is advertised to the client on start
+ */
+export function serve(handlers) {
+  const registry = new Map(Object.entries(handlers));
+  
+  if (!registry.has('STATUS')) {
+    registry.set('STATUS', () => ({ active: true, types: Array.from(registry.keys()) }));
+  }
+  
+  if (!registry.has('CAPABILITIES')) {
+    registry.set('CAPABILITIES', () => Array.from(registry.keys()));
+  }
+  
+  listen((type, payload, context) => {
+    const handler = registry.get(type);
+    if (!handler) {
+      throw new RpcError(`Unknown message type: ${type}`, 'UNKNOWN_TYPE');
+    }
+    
+    return handler(payload, context);
+  });
+  
+  self.postMessage({ capabilities: Array.from(registry.keys()) });
+}
+
+/**
+ * Yield to the Event Loop
+ * Long-running handlers await this between chunks so cancel messages
+ * are delivered; throws once the call is cancelled
+ */
+export async function checkpoint(signal) {
+  await new Promise(resolve => setTimeout(resolve, 0));
+  
+  if (signal?.aborted) {
+    throw new RpcError('Call cancelled', 'ABORTED');
+  }
+}
+
+/**
+ * List a Directory
+ * Returns the entries of a mounted directory, like ls
+ */
+export async function list(path) {
+  await import('/page9-9p.js');
+  return self.listDirectory(path);
+}
+
+/**
+ * Attach to the Namespace over 9P
+ * The page asks the kernel for the connection on this worker's behalf, so
+ * a module with a namespace gets its own view. Resolves with an attached
+ * NinePClient for walks, stats and partial reads and writes
+ */
+export async function attach(aname = '/') {
+  await import('/page9-9p.js');
+  
+  const ref = ++connectCount;
+  const port = await new Promise((resolve, reject) => {
+    const onMessage = (event) => {
+      if (!event.data || !('ninep' in event.data) || event.data.ref !== ref) return;
+      
+      self.removeEventListener('message', onMessage);
+      if (event.data.ninep) {
+        resolve(event.data.ninep);
+      } else {
+        reject(new RpcError(`Cannot connect over 9P: ${event.data.error}`, 'NINEP_ERROR'));
+      }
+    };
+    
+    self.addEventListener('message', onMessage);
+    self.postMessage({ connect: '9p', ref });
+  });
+  
+  const client = self.NinePClient.overPort(port);
+  await client.version();
+  await client.attach(aname);
+  return client;
+}
+
+/**
+ * Plumb a Message
+ * The page routes it by its plumbing rules, with this worker as the
+ * source. Plumbed messages arrive as PLUMB calls
+ */
+export function plumb(type, data, options = {}) {
+  self.postMessage({ plumb: { type, data, path: options.path } });
+}
+
+/**
+ * Serialize Error for postMessage
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { name: 'Error', message: String(error), code: 'HANDLER_ERROR' };
+  }
+  
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code || 'HANDLER_ERROR',
+    stack: error.stack
+  };
+}
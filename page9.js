@@ -4,12 +4,104 @@
  * Manages Service Worker kernel and Web Worker pool
  */
 
+/**
+ * Worker Error
+ * Structured error from a worker call, with a code and the remote stack
+ */
+class WorkerError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'WorkerError';
+    this.code = code;
+    this.worker = details.worker;
+    this.remoteStack = details.stack;
+  }
+  
+  /**
+   * Build from a worker reply (structured, or a plain string from older workers)
+   */
+  static from(error, worker) {
+    if (typeof error === 'string') {
+      return new WorkerError(error, 'WORKER_ERROR', { worker });
+    }
+    
+    return new WorkerError(error.message, error.code || 'WORKER_ERROR', {
+      worker,
+      stack: error.stack
+    });
+  }
+}
+
+/**
+ * Kernel Error
+ * Error reply from the Service Worker kernel control protocol
+ */
+class KernelError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'KernelError';
+    this.code = code;
+    this.errors = details.errors;
+  }
+}
+
+const KERNEL_PROTOCOL_VERSION = 1;
+const KERNEL_EVENT_CHANNEL = 'page9-kernel';
+const PLUMB_CHANNEL = 'page9-plumber';
+const DEFAULT_DEAD_LETTER_PORT = 'dead-letter';
+const DEFAULT_PLUMB_TIMEOUT = 30000;
+
+// A message plumbed in reply to another is one hop further; past this
+// the rules are taken to loop and the message is a dead letter
+const MAX_PLUMB_HOPS = 16;
+const CONFIG_PATH = '/page9.config.json';
+
+// Query flag, and localStorage key, naming the config environment
+const CONFIG_ENVIRONMENT_FLAG = 'page9-env';
+
+/**
+ * Escape Text for innerHTML
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+/**
+ * Format a Byte Count for Display
+ */
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return '';
+  
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
 class Page9 {
   constructor() {
     this.kernelReady = false;
     this.workers = new Map();
     this.workerPool = [];
+    this.workerCount = 0;
+    this.taskQueue = [];
+    this.callCount = 0;
     this.config = null;
+    this.usingDefaultConfig = false;
+    this.kernelRequestCount = 0;
+    this.listeners = new Map();
+    this.pendingUpdate = null;
+    this.plumbListeners = new Map();
+    this.plumbHops = new Map();
+    
+    // Tells the kernel events this tab caused apart from other tabs'
+    this.tabId = crypto.randomUUID();
     
     this.init();
   }
@@ -23,9 +115,25 @@ class Page9 {
     // Register Service Worker (Kernel)
     if ('serviceWorker' in navigator) {
       try {
+        if (typeof validatePage9Config !== 'function') {
+          await this.loadScript('/page9-schema.js');
+        }
+        
+        this.listenToKernel();
+        this.listenToPlumber();
         await this.registerKernel();
-        await this.loadConfig();
+        this.replayOutboxOnLoad();
+        
+        // ?page9-env=NAME switches environment, ?page9-env= goes back to
+        // choosing by hostname
+        const environment = new URLSearchParams(location.search).get(CONFIG_ENVIRONMENT_FLAG);
+        if (environment !== null) {
+          await this.setConfigEnvironment(environment);
+        } else {
+          await this.loadConfig();
+        }
         this.updateStatus();
+        this.updateCachePanel();
         this.initializeWorkers();
       } catch (error) {
         console.error('[Page9] Initialization failed:', error);
@@ -36,6 +144,19 @@ class Page9 {
     }
   }
   
+  /**
+   * Load a Shared Runtime Script
+   */
+  loadScript(src) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error(`Failed to load ${src}`));
+      document.head.appendChild(script);
+    });
+  }
+  
   /**
    * Register Service Worker Kernel
    */
@@ -48,9 +169,21 @@ class Page9 {
       await navigator.serviceWorker.ready;
       this.kernelReady = true;
       
-      // Listen for kernel updates
+      // A new kernel waits until applyUpdate() rather than taking over
+      // in the middle of a session
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        this.notifyUpdate(registration.waiting);
+      }
+      
       registration.addEventListener('updatefound', () => {
         console.log('[Page9] Kernel update found');
+        const installing = registration.installing;
+        
+        installing.addEventListener('statechange', () => {
+          if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+            this.notifyUpdate(installing);
+          }
+        });
       });
       
       return registration;
@@ -60,23 +193,290 @@ class Page9 {
     }
   }
   
+  /**
+   * Announce a Waiting Kernel
+   * Emits update-available with the new kernel's version and precache revision
+   */
+  async notifyUpdate(worker) {
+    this.pendingUpdate = worker;
+    
+    let status = {};
+    try {
+      status = await this.requestKernel('KERNEL_STATUS', null, { worker });
+    } catch (error) {
+      console.warn('[Page9] Waiting kernel did not answer:', error);
+    }
+    
+    console.log('[Page9] Kernel update available:', status.version);
+    this.emit('update-available', {
+      version: status.version,
+      revision: status.precache?.revision
+    });
+  }
+  
+  /**
+   * Apply a Waiting Kernel Update
+   * Activates the new kernel in every tab, then reloads this page so it
+   * runs entirely on the new version
+   */
+  async applyUpdate(options = {}) {
+    const { reload = true, timeout = 10000 } = options;
+    
+    if (!this.pendingUpdate) {
+      throw new KernelError('No kernel update is waiting', 'NO_UPDATE');
+    }
+    
+    const controllerChanged = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new KernelError('New kernel did not take over', 'TIMEOUT'));
+      }, timeout);
+      
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+    
+    // Observed below; avoids an unhandled rejection if SKIP_WAITING fails first
+    controllerChanged.catch(() => {});
+    
+    await this.requestKernel('SKIP_WAITING', null, { worker: this.pendingUpdate, timeout });
+    await controllerChanged;
+    this.pendingUpdate = null;
+    
+    if (reload) {
+      window.location.reload();
+    }
+  }
+  
+  /**
+   * Listen for Kernel Requests
+   * The kernel cannot spawn workers, so it asks the page to run work for it
+   */
+  listenToKernel() {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      const { id, type, payload } = event.data || {};
+      const port = event.ports[0];
+      
+      switch (type) {
+        case 'TRANSFORM':
+          this.handleTransformRequest(id, payload, port);
+          break;
+          
+        default:
+          console.log('[Page9] Unknown kernel message type:', type);
+          port?.postMessage({
+            protocol: KERNEL_PROTOCOL_VERSION,
+            id,
+            ok: false,
+            error: { message: `Unknown message type: ${type}`, code: 'UNKNOWN_TYPE' }
+          });
+      }
+    });
+    
+    // Kernel events reach every tab, not only the one that caused them
+    this.kernelEvents = new BroadcastChannel(KERNEL_EVENT_CHANNEL);
+    this.kernelEvents.addEventListener('message', (event) => {
+      const { event: name, data } = event.data || {};
+      if (name) {
+        this.emit(name, data);
+      }
+    });
+    
+    // The tab that asked for the reload has loaded the config already
+    this.on('config-reloaded', async ({ tab }) => {
+      if (tab === this.tabId) return;
+      
+      await this.loadConfig();
+      this.updateStatus();
+    });
+    
+    this.on('kernel-updated', ({ version }) => {
+      console.log('[Page9] Kernel updated to', version);
+      this.updateStatus();
+    });
+    
+    this.on('cache-cleared', () => this.updateCachePanel());
+    this.on('cache-evicted', () => this.updateCachePanel());
+  }
+  
+  /**
+   * Run a Route Transform in its Worker Module
+   */
+  async handleTransformRequest(id, payload, port) {
+    const reply = { protocol: KERNEL_PROTOCOL_VERSION, id };
+    
+    try {
+      const result = await this.sendToWorker(payload.transform, 'TRANSFORM', payload);
+      port.postMessage({ ...reply, ok: true, result });
+    } catch (error) {
+      console.error(`[Page9] Transform ${payload.transform} failed:`, error);
+      port.postMessage({
+        ...reply,
+        ok: false,
+        error: { message: error.message, code: error.code || 'WORKER_ERROR' }
+      });
+    }
+  }
+  
+  /**
+   * Subscribe to a Kernel Event
+   * Events: config-reloaded, cache-cleared, cache-evicted, kernel-updated,
+   * store-changed, update-available, outbox-queued, outbox-replayed,
+   * outbox-failed, outbox-discarded, snapshot-created, snapshot-deleted
+   */
+  on(name, listener) {
+    if (!this.listeners.has(name)) {
+      this.listeners.set(name, new Set());
+    }
+    this.listeners.get(name).add(listener);
+    return () => this.off(name, listener);
+  }
+  
+  /**
+   * Unsubscribe from a Kernel Event
+   */
+  off(name, listener) {
+    this.listeners.get(name)?.delete(listener);
+  }
+  
+  /**
+   * Emit an Event to its Listeners
+   */
+  emit(name, data) {
+    for (const listener of this.listeners.get(name) || []) {
+      try {
+        listener(data);
+      } catch (error) {
+        console.error(`[Page9] ${name} listener failed:`, error);
+      }
+    }
+  }
+  
+  /**
+   * Wait for a Controlling Kernel
+   * The page may not be controlled yet right after the first registration
+   */
+  waitForController(timeout) {
+    if (navigator.serviceWorker.controller) {
+      return Promise.resolve(navigator.serviceWorker.controller);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const onChange = () => {
+        clearTimeout(timer);
+        resolve(navigator.serviceWorker.controller);
+      };
+      
+      const timer = setTimeout(() => {
+        navigator.serviceWorker.removeEventListener('controllerchange', onChange);
+        reject(new KernelError('No kernel controls this page', 'NO_CONTROLLER'));
+      }, timeout);
+      
+      navigator.serviceWorker.addEventListener('controllerchange', onChange, { once: true });
+    });
+  }
+  
+  /**
+   * Send a Control Request to the Kernel
+   * Resolves with the result, rejects with a KernelError on an error
+   * reply, a timeout, or when no kernel controls the page. Requests go
+   * to the controlling kernel unless options.worker names another;
+   * options.transfer lists ports to hand to the kernel after the reply port
+   */
+  async requestKernel(type, payload, options = {}) {
+    const { timeout = 5000, transfer = [] } = options;
+    const deadline = Date.now() + timeout;
+    const controller = options.worker || await this.waitForController(timeout);
+    const id = ++this.kernelRequestCount;
+    
+    return new Promise((resolve, reject) => {
+      const messageChannel = new MessageChannel();
+      
+      const timer = setTimeout(() => {
+        messageChannel.port1.close();
+        reject(new KernelError(`Kernel ${type} timed out`, 'TIMEOUT'));
+      }, Math.max(0, deadline - Date.now()));
+      
+      messageChannel.port1.onmessage = (event) => {
+        const reply = event.data || {};
+        if (reply.id !== id) return;
+        
+        clearTimeout(timer);
+        messageChannel.port1.close();
+        
+        if (reply.ok) {
+          resolve(reply.result);
+        } else {
+          reject(new KernelError(reply.error.message, reply.error.code, reply.error));
+        }
+      };
+      
+      controller.postMessage(
+        { protocol: KERNEL_PROTOCOL_VERSION, id, type, payload },
+        [messageChannel.port2, ...transfer]
+      );
+    });
+  }
+  
   /**
    * Load Configuration
+   * Assembled from its includes and environment overlay like the kernel's.
+   * Invalid configs are rejected and the current config is kept.
+   * Returns the validation errors, empty on success
    */
   async loadConfig() {
     try {
-      const response = await fetch('/page9.config.json');
-      if (response.ok) {
-        this.config = await response.json();
+      const saved = this.getConfigEnvironment();
+      const load = environment => loadPage9Config(CONFIG_PATH, fetchConfigFile, {
+        hostname: location.hostname,
+        environment
+      });
+      
+      const layered = await load(saved).catch((error) => {
+        // A remembered environment may since have been removed from the config
+        if (!saved || error.code !== 'UNKNOWN_ENVIRONMENT') throw error;
+        console.warn(`[Page9] Environment ${saved} is no longer declared, forgetting it`);
+        this.forgetConfigEnvironment();
+        return load(null);
+      });
+      
+      if (layered) {
+        const errors = validatePage9Config(layered.config, layered.sources);
+        
+        if (errors.length > 0) {
+          console.error('[Page9] Configuration rejected:\n' + formatConfigErrors(errors));
+          this.keepCurrentConfig();
+          return errors;
+        }
+        
+        this.config = layered.config;
+        this.usingDefaultConfig = false;
         console.log('[Page9] Configuration loaded:', this.config);
         this.displayConfig();
+      } else if (this.config && !this.usingDefaultConfig) {
+        console.error(`[Page9] ${CONFIG_PATH} not found, keeping current configuration`);
+        return [{ path: 'config', message: `${CONFIG_PATH} not found` }];
       } else {
         console.warn('[Page9] No configuration found, using defaults');
-        this.config = this.getDefaultConfig();
+        this.keepCurrentConfig();
       }
+      return [];
     } catch (error) {
       console.error('[Page9] Failed to load config:', error);
+      this.keepCurrentConfig();
+      return [{ path: 'config', message: error.message }];
+    }
+  }
+  
+  /**
+   * Keep the Current Configuration
+   * Defaults stand in until a config has loaded
+   */
+  keepCurrentConfig() {
+    if (!this.config) {
       this.config = this.getDefaultConfig();
+      this.usingDefaultConfig = true;
     }
   }
   
@@ -92,7 +492,9 @@ class Page9 {
       kernel: {
         version: '0.1.0',
         cachingStrategy: 'cache-first',
-        interceptPatterns: ['/*']
+        interceptPatterns: ['/*'],
+        excludePatterns: [],
+        interceptMethods: ['GET', 'HEAD']
       },
       workers: {
         enabled: true,
@@ -112,13 +514,12 @@ class Page9 {
       return;
     }
     
-    const poolSize = this.config.workers.pool?.min || 1;
+    const poolSize = this.getPoolLimits().min;
     console.log(`[Page9] Initializing worker pool (size: ${poolSize})`);
     
     // Initialize worker pool
     for (let i = 0; i < poolSize; i++) {
-      const worker = this.createWorker(`worker-${i}`);
-      this.workerPool.push(worker);
+      this.addPoolWorker();
     }
     
     // Load configured worker modules
@@ -128,202 +529,1052 @@ class Page9 {
       }
     }
     
+    this.startHealthChecks();
     this.updateWorkerStatus();
   }
   
   /**
-   * Create a Web Worker
+   * Get Pool Limits
    */
-  createWorker(name) {
-    // Create inline worker for demonstration
-    const workerCode = `
-      self.addEventListener('message', (e) => {
-        const { type, payload, id } = e.data;
-        
-        switch(type) {
-          case 'ECHO':
-            self.postMessage({ id, result: payload });
-            break;
-          case 'COMPUTE':
-            // Example computation
-            const result = payload.value * 2;
-            self.postMessage({ id, result });
-            break;
-          default:
-            self.postMessage({ id, error: 'Unknown message type' });
-        }
-      });
-      
-      console.log('[Page9 Worker] Worker initialized');
-    `;
-    
-    const blob = new Blob([workerCode], { type: 'application/javascript' });
-    const workerUrl = URL.createObjectURL(blob);
-    const worker = new Worker(workerUrl);
-    
-    worker.name = name;
-    this.workers.set(name, worker);
+  getPoolLimits() {
+    const pool = this.config.workers?.pool || {};
+    const min = pool.min ?? 1;
     
-    console.log(`[Page9] Worker created: ${name}`);
+    return {
+      min,
+      max: Math.max(pool.max ?? 4, min, 1),
+      idleTimeout: pool.idleTimeout ?? 30000
+    };
+  }
+  
+  /**
+   * Add a Worker to the Pool
+   */
+  addPoolWorker() {
+    const worker = this.createWorker(`worker-${this.workerCount++}`);
+    worker.busy = false;
+    worker.tasksCompleted = 0;
+    this.workerPool.push(worker);
     return worker;
   }
   
   /**
-   * Load Worker Module
+   * Remove a Worker from the Pool
    */
-  async loadWorkerModule(module) {
-    try {
-      const worker = new Worker(module.path, {
-        type: module.type || 'module'
-      });
-      
-      this.workers.set(module.name, worker);
-      console.log(`[Page9] Worker module loaded: ${module.name}`);
-      
-      return worker;
-    } catch (error) {
-      console.error(`[Page9] Failed to load worker module ${module.name}:`, error);
-    }
+  removePoolWorker(worker) {
+    clearTimeout(worker.idleTimer);
+    worker.terminate();
+    this.workerPool = this.workerPool.filter(w => w !== worker);
+    this.workers.delete(worker.name);
+    console.log(`[Page9] Worker retired: ${worker.name}`);
   }
   
   /**
-   * Send Message to Worker
+   * Submit a Task to the Worker Pool
+   * Tasks are queued and run on the next idle worker; the pool grows
+   * toward pool.max while tasks are waiting.
+   * Options: priority ('high' jumps the queue), plus the sendToWorker options
    */
-  async sendToWorker(workerName, type, payload) {
-    const worker = this.workers.get(workerName);
-    if (!worker) {
-      throw new Error(`Worker ${workerName} not found`);
+  submit(type, payload, options = {}) {
+    if (!this.config?.workers?.enabled) {
+      return Promise.reject(new Error('Workers disabled'));
+    }
+    
+    const capabilities = this.getPoolCapabilities();
+    if (capabilities && !capabilities.has(type)) {
+      return Promise.reject(new WorkerError(`Worker pool does not handle ${type}`, 'UNKNOWN_TYPE'));
     }
     
     return new Promise((resolve, reject) => {
-      const id = Math.random().toString(36).substr(2, 9);
+      const task = { type, payload, options, resolve, reject };
       
-      const handler = (e) => {
-        if (e.data.id === id) {
-          worker.removeEventListener('message', handler);
-          if (e.data.error) {
-            reject(new Error(e.data.error));
-          } else {
-            resolve(e.data.result);
-          }
-        }
-      };
+      if (options.priority === 'high') {
+        this.taskQueue.unshift(task);
+      } else {
+        this.taskQueue.push(task);
+      }
       
-      worker.addEventListener('message', handler);
-      worker.postMessage({ type, payload, id });
+      // Drop the task if it is cancelled while still queued
+      options.signal?.addEventListener('abort', () => {
+        const index = this.taskQueue.indexOf(task);
+        if (index !== -1) {
+          this.taskQueue.splice(index, 1);
+          reject(new WorkerError('Worker call aborted', 'ABORTED'));
+          this.updateWorkerStatus();
+        }
+      }, { once: true });
       
-      // Timeout after 5 seconds
-      setTimeout(() => {
-        worker.removeEventListener('message', handler);
-        reject(new Error('Worker timeout'));
-      }, 5000);
+      this.dispatchTasks();
     });
   }
   
   /**
-   * Query Kernel Status
+   * Get Pool Capabilities
+   * Pool workers share a script, so any one that has advertised speaks for all
    */
-  async getKernelStatus() {
-    if (!this.kernelReady) {
-      return { active: false };
+  getPoolCapabilities() {
+    return this.workerPool.find(worker => worker.capabilities)?.capabilities || null;
+  }
+  
+  /**
+   * Call a Message Type on Whichever Worker Handles It
+   * Modules advertising the type take precedence (least busy first),
+   * then the pool. Rejects without sending when nothing handles it
+   */
+  async call(type, payload, options = {}) {
+    await Promise.all(Array.from(this.workers.values(), worker => worker.started));
+    
+    const module = Array.from(this.workers.values())
+      .filter(worker => !worker.spec.pool && worker.state !== 'crashed' && worker.capabilities?.has(type))
+      .sort((a, b) => a.pendingCalls.size - b.pendingCalls.size)[0];
+    
+    if (module) {
+      return this.sendToWorker(module.name, type, payload, options);
     }
     
-    return new Promise((resolve) => {
-      const messageChannel = new MessageChannel();
-      
-      messageChannel.port1.onmessage = (event) => {
-        resolve(event.data);
-      };
-      
-      navigator.serviceWorker.controller.postMessage(
-        { type: 'KERNEL_STATUS' },
-        [messageChannel.port2]
-      );
-    });
+    if (this.getPoolCapabilities()?.has(type)) {
+      return this.submit(type, payload, options);
+    }
+    
+    throw new WorkerError(`No worker handles ${type}`, 'UNKNOWN_TYPE');
   }
   
   /**
-   * Reload Configuration
+   * Dispatch Queued Tasks to Idle Workers
    */
-  async reloadConfig() {
-    console.log('[Page9] Reloading configuration...');
+  dispatchTasks() {
+    const { max } = this.getPoolLimits();
     
-    try {
-      await this.loadConfig();
+    while (this.taskQueue.length > 0) {
+      let worker = this.findIdleWorker();
       
-      // Notify kernel to reload config
-      if (this.kernelReady) {
-        const messageChannel = new MessageChannel();
-        messageChannel.port1.onmessage = (event) => {
-          if (event.data.success) {
-            this.showSuccess('Configuration reloaded successfully');
-            this.updateStatus();
-          }
-        };
-        
-        navigator.serviceWorker.controller.postMessage(
-          { type: 'RELOAD_CONFIG' },
-          [messageChannel.port2]
-        );
+      if (!worker && this.workerPool.length < max) {
+        worker = this.addPoolWorker();
       }
-    } catch (error) {
-      this.showError('Failed to reload config: ' + error.message);
+      
+      if (!worker) break;
+      
+      this.runTask(worker, this.taskQueue.shift());
     }
+    
+    this.updateWorkerStatus();
   }
   
   /**
-   * Clear Cache
+   * Find Idle Worker
+   * Prefers the worker that has done the least work
    */
-  async clearCache() {
-    console.log('[Page9] Clearing cache...');
-    
-    if (!this.kernelReady) {
-      this.showError('Kernel not ready');
-      return;
-    }
-    
-    const messageChannel = new MessageChannel();
-    messageChannel.port1.onmessage = (event) => {
-      if (event.data.success) {
-        this.showSuccess('Cache cleared successfully');
-      }
-    };
-    
-    navigator.serviceWorker.controller.postMessage(
-      { type: 'CLEAR_CACHE' },
-      [messageChannel.port2]
-    );
+  findIdleWorker() {
+    return this.workerPool
+      .filter(worker => !worker.busy)
+      .sort((a, b) => a.tasksCompleted - b.tasksCompleted)[0] || null;
   }
   
   /**
-   * Test Worker
+   * Run a Task on a Worker
    */
-  async testWorker() {
-    console.log('[Page9] Testing worker...');
-    
-    if (this.workerPool.length === 0) {
-      this.showError('No workers available');
-      return;
-    }
+  runTask(worker, task) {
+    worker.busy = true;
+    clearTimeout(worker.idleTimer);
     
-    try {
-      const worker = this.workerPool[0];
-      const result = await this.sendToWorker(
-        worker.name,
-        'COMPUTE',
-        { value: 42 }
-      );
-      
-      this.showSuccess(`Worker test successful! Result: ${result}`);
-    } catch (error) {
-      this.showError('Worker test failed: ' + error.message);
-    }
+    this.sendToWorker(worker.name, task.type, task.payload, task.options)
+      .then(task.resolve, task.reject)
+      .finally(() => {
+        worker.busy = false;
+        worker.tasksCompleted++;
+        if (worker.state !== 'crashed') {
+          this.scheduleRetirement(worker);
+        }
+        this.dispatchTasks();
+      });
   }
   
   /**
-   * Update Status Display
+   * Schedule Idle Worker Retirement
+   * Shrinks the pool back toward pool.min after idleTimeout
    */
-  async updateStatus() {
+  scheduleRetirement(worker) {
+    const { min, idleTimeout } = this.getPoolLimits();
+    
+    if (this.workerPool.length <= min) return;
+    
+    worker.idleTimer = setTimeout(() => {
+      if (!worker.busy && this.workerPool.length > min) {
+        this.removePoolWorker(worker);
+        this.updateWorkerStatus();
+      }
+    }, idleTimeout);
+  }
+  
+  /**
+   * Get Pool Statistics
+   */
+  getPoolStats() {
+    const { min, max } = this.getPoolLimits();
+    const busy = this.workerPool.filter(worker => worker.busy).length;
+    
+    return {
+      size: this.workerPool.length,
+      busy,
+      idle: this.workerPool.length - busy,
+      queued: this.taskQueue.length,
+      min,
+      max
+    };
+  }
+  
+  /**
+   * Create a Web Worker
+   * Runs workers.pool.script when configured, else the built-in worker
+   */
+  createWorker(name) {
+    const script = this.config?.workers?.pool?.script;
+    let worker;
+    
+    if (script) {
+      worker = new Worker(script, { type: 'module', name });
+    } else {
+      // Create inline worker for demonstration
+      const runtimeUrl = new URL('/page9-worker.js', location.href);
+      const workerCode = `
+        import { serve } from '${runtimeUrl}';
+        
+        serve({
+          ECHO: (payload) => payload,
+          // Example computation
+          COMPUTE: (payload) => payload.value * 2,
+          STATUS: () => ({ active: true })
+        });
+        
+        console.log('[Page9 Worker] Worker initialized');
+      `;
+      
+      const blob = new Blob([workerCode], { type: 'application/javascript' });
+      const workerUrl = URL.createObjectURL(blob);
+      worker = new Worker(workerUrl, { type: 'module', name });
+    }
+    
+    worker.name = name;
+    this.workers.set(name, worker);
+    this.superviseWorker(worker, { pool: true });
+    
+    console.log(`[Page9] Worker created: ${name}${script ? ` (${script})` : ''}`);
+    return worker;
+  }
+  
+  /**
+   * Load Worker Module
+   * WebAssembly modules run in the page9-wasm.js host worker, which
+   * reads the module's spec from its URL fragment
+   */
+  async loadWorkerModule(module, restarts = 0) {
+    try {
+      const worker = module.type === 'wasm'
+        ? new Worker(this.getWasmHostUrl(module), { type: 'module', name: module.name })
+        : new Worker(module.path, { type: module.type || 'module', name: module.name });
+      
+      worker.name = module.name;
+      worker.restarts = restarts;
+      this.workers.set(module.name, worker);
+      this.superviseWorker(worker, module);
+      console.log(`[Page9] Worker module loaded: ${module.name}`);
+      
+      return worker;
+    } catch (error) {
+      console.error(`[Page9] Failed to load worker module ${module.name}:`, error);
+    }
+  }
+  
+  /**
+   * Get WebAssembly Host Worker URL
+   */
+  getWasmHostUrl(module) {
+    const spec = {
+      path: new URL(module.path, location.href).href,
+      exports: module.exports,
+      allocator: module.allocator
+    };
+    
+    const url = new URL('/page9-wasm.js', location.href);
+    url.hash = encodeURIComponent(JSON.stringify(spec));
+    return url;
+  }
+  
+  /**
+   * Supervise a Worker
+   * Tracks its state (starting, ready, busy, crashed) and watches for
+   * crashes. new Worker() does not throw when the script fails to load;
+   * the failure arrives as an error event while the worker is starting
+   */
+  superviseWorker(worker, spec) {
+    worker.spec = spec;
+    worker.state = 'starting';
+    worker.pendingCalls = new Map();
+    worker.restarts = worker.restarts || 0;
+    worker.started = new Promise(resolve => { worker.markStarted = resolve; });
+    
+    // Workers built on serve() advertise the message types they handle,
+    // and any worker can plumb messages
+    worker.addEventListener('message', (event) => {
+      if (!event.data || event.data.id !== undefined) return;
+      
+      if (event.data.capabilities) {
+        worker.capabilities = new Set(event.data.capabilities);
+        console.log(`[Page9] Worker ${worker.name} handles: ${event.data.capabilities.join(', ')}`);
+      }
+      
+      if (event.data.plumb) {
+        const { type, data, path } = event.data.plumb;
+        this.plumb(type, data, { path, source: worker.name, hops: this.nextPlumbHop(worker.name) });
+      }
+      
+      // 9P connections see the namespace of the module asking for them.
+      // Pool workers have none, and the page's own view is not theirs to use
+      if (event.data.connect === '9p') {
+        const { ref } = event.data;
+        if (worker.spec.pool) {
+          worker.postMessage({ ninep: null, ref, error: 'pool workers cannot connect over 9P' });
+          return;
+        }
+        
+        this.openNinePPort(worker.spec.name).then(
+          port => worker.postMessage({ ninep: port, ref }, [port]),
+          error => worker.postMessage({ ninep: null, ref, error: error.message })
+        );
+      }
+    });
+    
+    // Load failures and uncaught errors; like a process dying on an
+    // unhandled exception, the worker is treated as crashed
+    worker.addEventListener('error', (event) => {
+      event.preventDefault();
+      this.handleWorkerCrash(worker, event.message || 'Script failed to load');
+    });
+    
+    worker.addEventListener('messageerror', () => {
+      console.warn(`[Page9] Worker ${worker.name} sent a message that could not be deserialized`);
+    });
+    
+    // Workers that never answer STATUS are left out of health checks
+    const { startTimeout } = this.getHealthCheckOptions();
+    this.sendToWorker(worker.name, 'STATUS', null, { timeout: startTimeout })
+      .then(() => true, (error) => error.code !== 'TIMEOUT')
+      .then((answersStatus) => {
+        if (worker.state !== 'starting') return;
+        
+        if (!answersStatus) {
+          console.warn(`[Page9] Worker ${worker.name} does not answer STATUS; health checks disabled`);
+        }
+        worker.answersStatus = answersStatus;
+        worker.state = 'ready';
+        this.updateWorkerStatus();
+      })
+      .finally(() => worker.markStarted());
+  }
+  
+  /**
+   * Get Health Check Options
+   */
+  getHealthCheckOptions() {
+    const healthCheck = this.config.workers?.healthCheck || {};
+    
+    return {
+      interval: healthCheck.interval ?? 30000,
+      timeout: healthCheck.timeout ?? 5000,
+      startTimeout: healthCheck.startTimeout ?? 10000
+    };
+  }
+  
+  /**
+   * Check Worker Health
+   * Any reply to STATUS, even an error, shows the worker is alive;
+   * an unanswered check counts as a crash
+   */
+  async checkWorkerHealth(worker, timeout) {
+    try {
+      await this.sendToWorker(worker.name, 'STATUS', null, { timeout });
+      return true;
+    } catch (error) {
+      if (error.code === 'TIMEOUT') {
+        this.handleWorkerCrash(worker, 'Health check timed out');
+        return false;
+      }
+      
+      return error.code !== 'CRASHED';
+    }
+  }
+  
+  /**
+   * Start Periodic Health Checks
+   * Only idle workers are checked; a busy worker cannot answer until
+   * its current task completes
+   */
+  startHealthChecks() {
+    const { interval, timeout } = this.getHealthCheckOptions();
+    if (interval <= 0) return;
+    
+    this.healthTimer = setInterval(async () => {
+      for (const worker of this.workers.values()) {
+        if (worker.state !== 'ready' || !worker.answersStatus || worker.pendingCalls.size > 0) continue;
+        
+        if (await this.checkWorkerHealth(worker, timeout)) {
+          // Survived a full interval, so the next crash starts a fresh backoff
+          worker.restarts = 0;
+        }
+      }
+    }, interval);
+  }
+  
+  /**
+   * Handle Worker Crash
+   * Fails the worker's pending calls and applies its restart policy
+   */
+  handleWorkerCrash(worker, reason) {
+    if (worker.state === 'crashed') return;
+    
+    console.error(`[Page9] Worker ${worker.name} crashed: ${reason}`);
+    worker.state = 'crashed';
+    worker.crashReason = reason;
+    worker.terminate();
+    
+    for (const fail of worker.pendingCalls.values()) {
+      fail(new WorkerError(`Worker ${worker.name} crashed: ${reason}`, 'CRASHED', { worker: worker.name }));
+    }
+    worker.pendingCalls.clear();
+    
+    if (worker.spec.pool) {
+      this.replacePoolWorker(worker);
+    } else {
+      this.scheduleRestart(worker);
+    }
+    
+    this.updateWorkerStatus();
+  }
+  
+  /**
+   * Replace a Crashed Pool Worker
+   * The pool refills to pool.min; queued tasks get new workers as needed
+   */
+  replacePoolWorker(worker) {
+    clearTimeout(worker.idleTimer);
+    this.workerPool = this.workerPool.filter(w => w !== worker);
+    this.workers.delete(worker.name);
+    
+    while (this.workerPool.length < this.getPoolLimits().min) {
+      this.addPoolWorker();
+    }
+    
+    this.dispatchTasks();
+  }
+  
+  /**
+   * Schedule Module Restart
+   * restart: 'always' restarts after every crash, 'on-failure' (default)
+   * up to backoff.maxRestarts times in a row, 'never' leaves it crashed.
+   * Delays double from backoff.initialDelay up to backoff.maxDelay
+   */
+  scheduleRestart(worker) {
+    const module = worker.spec;
+    const policy = module.restart || 'on-failure';
+    const backoff = module.backoff || {};
+    const maxRestarts = backoff.maxRestarts ?? 5;
+    
+    if (policy === 'never' || (policy === 'on-failure' && worker.restarts >= maxRestarts)) {
+      console.warn(`[Page9] Worker ${worker.name} will not be restarted (policy: ${policy})`);
+      return;
+    }
+    
+    const delay = Math.min(
+      (backoff.initialDelay ?? 1000) * 2 ** worker.restarts,
+      backoff.maxDelay ?? 30000
+    );
+    
+    console.log(`[Page9] Restarting worker ${worker.name} in ${delay}ms`);
+    worker.restartTimer = setTimeout(() => {
+      // Skip if the module was replaced in the meantime
+      if (this.workers.get(worker.name) === worker) {
+        this.loadWorkerModule(module, worker.restarts + 1).then(() => this.updateWorkerStatus());
+      }
+    }, delay);
+  }
+  
+  /**
+   * Send Message to Worker
+   * Options:
+   *   timeout    - milliseconds before the call fails (default 5000, 0 for none)
+   *   signal     - AbortSignal that cancels the call in the worker too
+   *   transfer   - transferable objects (e.g. ArrayBuffers) moved to the worker
+   *   onProgress - called with each progress message from the worker
+   */
+  async sendToWorker(workerName, type, payload, options = {}) {
+    const worker = this.workers.get(workerName);
+    if (!worker) {
+      throw new Error(`Worker ${workerName} not found`);
+    }
+    
+    if (worker.state === 'crashed') {
+      throw new WorkerError(`Worker ${workerName} crashed: ${worker.crashReason}`, 'CRASHED', { worker: workerName });
+    }
+    
+    if (worker.capabilities && !worker.capabilities.has(type)) {
+      throw new WorkerError(`Worker ${workerName} does not handle ${type}`, 'UNKNOWN_TYPE', { worker: workerName });
+    }
+    
+    const { timeout = 5000, signal, transfer = [], onProgress } = options;
+    if (signal?.aborted) {
+      throw new WorkerError('Worker call aborted', 'ABORTED', { worker: workerName });
+    }
+    
+    return new Promise((resolve, reject) => {
+      const id = ++this.callCount;
+      let timer = null;
+      
+      const finish = () => {
+        worker.removeEventListener('message', handler);
+        signal?.removeEventListener('abort', onAbort);
+        clearTimeout(timer);
+        worker.pendingCalls?.delete(id);
+      };
+      
+      // Stop the work in the worker as well as the wait here
+      const cancel = (error) => {
+        finish();
+        worker.postMessage({ id, cancel: true });
+        reject(error);
+      };
+      
+      const onAbort = () => {
+        cancel(new WorkerError('Worker call aborted', 'ABORTED', { worker: workerName }));
+      };
+      
+      const handler = (e) => {
+        if (!e.data || e.data.id !== id) return;
+        
+        if ('progress' in e.data) {
+          onProgress?.(e.data.progress);
+          return;
+        }
+        
+        finish();
+        if (e.data.error) {
+          reject(WorkerError.from(e.data.error, workerName));
+        } else {
+          resolve(e.data.result);
+        }
+      };
+      
+      worker.addEventListener('message', handler);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      
+      // Failed by the supervisor if the worker crashes
+      worker.pendingCalls?.set(id, (error) => {
+        finish();
+        reject(error);
+      });
+      
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          cancel(new WorkerError(`Worker timeout after ${timeout}ms`, 'TIMEOUT', { worker: workerName }));
+        }, timeout);
+      }
+      
+      worker.postMessage({ type, payload, id }, transfer);
+    });
+  }
+  
+  /**
+   * Stream Messages from Worker
+   * Async iterator yielding { type: 'progress', data } for each progress
+   * message and a final { type: 'result', data }. Leaving the loop early
+   * cancels the call
+   */
+  async *streamFromWorker(workerName, type, payload, options = {}) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    const events = [];
+    let wake = null;
+    let settled = false;
+    
+    const push = (event) => {
+      events.push(event);
+      if (wake) {
+        wake();
+        wake = null;
+      }
+    };
+    
+    options.signal?.addEventListener('abort', abort, { once: true });
+    
+    this.sendToWorker(workerName, type, payload, {
+      ...options,
+      signal: controller.signal,
+      onProgress: (data) => push({ type: 'progress', data })
+    }).then(
+      data => push({ type: 'result', data }),
+      error => push({ type: 'error', error })
+    );
+    
+    try {
+      while (true) {
+        if (events.length === 0) {
+          await new Promise(resolve => { wake = resolve; });
+        }
+        
+        const event = events.shift();
+        if (event.type === 'error') {
+          settled = true;
+          throw event.error;
+        }
+        
+        if (event.type === 'result') {
+          settled = true;
+        }
+        
+        yield event;
+        
+        if (settled) return;
+      }
+    } finally {
+      options.signal?.removeEventListener('abort', abort);
+      if (!settled) {
+        controller.abort();
+      }
+    }
+  }
+  
+  /**
+   * Listen to the Plumber
+   * Port messages plumbed in other tabs are delivered here too
+   */
+  listenToPlumber() {
+    this.plumber = new BroadcastChannel(PLUMB_CHANNEL);
+    this.plumber.addEventListener('message', (event) => {
+      const { port, message } = event.data || {};
+      if (port && message) {
+        this.deliverToPort(port, message);
+      }
+    });
+  }
+  
+  /**
+   * Plumb a Message
+   * The first matching rule in config.plumbing.rules delivers the message
+   * to a worker module, as a PLUMB call, or to a port. Unmatched and
+   * undeliverable messages go to the dead-letter port. Resolves with
+   * { id, worker, result } or { id, port } (with a reason for dead letters)
+   * Options:
+   *   path   - the file the message is about, matched by rule patterns
+   *   source - sender name (default "page"; set by the page for workers)
+   *   hops   - for a message plumbed in reply to another, that message's
+   *            hops + 1 (set by the page for workers)
+   */
+  async plumb(type, data, options = {}) {
+    const message = {
+      id: crypto.randomUUID(),
+      type,
+      source: options.source || 'page',
+      path: options.path,
+      data,
+      hops: options.hops || 0,
+      timestamp: Date.now()
+    };
+    
+    if (message.hops > MAX_PLUMB_HOPS) {
+      return this.deadLetter(message, `Plumbing loop: more than ${MAX_PLUMB_HOPS} hops`);
+    }
+    
+    const rule = this.matchPlumbRule(message);
+    if (!rule) {
+      return this.deadLetter(message, `No plumbing rule for ${type}`);
+    }
+    
+    if (!rule.worker) {
+      this.deliverToPort(rule.port, message, { broadcast: true });
+      return { id: message.id, port: rule.port };
+    }
+    
+    const inFlight = this.plumbHops.get(rule.worker) || [];
+    this.plumbHops.set(rule.worker, inFlight);
+    inFlight.push(message.hops);
+    
+    try {
+      const timeout = this.config?.plumbing?.timeout ?? DEFAULT_PLUMB_TIMEOUT;
+      const result = await this.sendToWorker(rule.worker, 'PLUMB', message, { timeout });
+      return { id: message.id, worker: rule.worker, result };
+    } catch (error) {
+      return this.deadLetter(message, error.message);
+    } finally {
+      inFlight.splice(inFlight.indexOf(message.hops), 1);
+    }
+  }
+  
+  /**
+   * Hop Count for a Message a Worker Plumbs
+   * One more than the PLUMB calls it is handling, as the message is
+   * taken to be plumbed in reply to them
+   */
+  nextPlumbHop(name) {
+    const inFlight = this.plumbHops.get(name) || [];
+    return inFlight.length > 0 ? Math.max(...inFlight) + 1 : 0;
+  }
+  
+  /**
+   * Match a Plumbing Rule
+   * type, source and pattern are globs; pattern matches the message path
+   */
+  matchPlumbRule(message) {
+    const rules = this.config?.plumbing?.rules || [];
+    
+    return rules.find(rule =>
+      (rule.worker || rule.port) &&
+      matchPattern(message.type, rule.type) &&
+      (!rule.source || matchPattern(message.source, rule.source)) &&
+      (!rule.pattern || (message.path !== undefined && matchPattern(message.path, rule.pattern))));
+  }
+  
+  /**
+   * Send a Message to the Dead-Letter Port
+   */
+  deadLetter(message, reason) {
+    const port = this.config?.plumbing?.deadLetter || DEFAULT_DEAD_LETTER_PORT;
+    console.warn(`[Page9] Plumbed ${message.type} from ${message.source} went to ${port}: ${reason}`);
+    
+    this.deliverToPort(port, { ...message, reason }, { broadcast: true });
+    return { id: message.id, port, reason };
+  }
+  
+  /**
+   * Deliver a Message to a Port's Listeners
+   * Broadcast deliveries also reach the port's listeners in other tabs
+   */
+  deliverToPort(port, message, options = {}) {
+    if (options.broadcast) {
+      this.plumber?.postMessage({ port, message });
+    }
+    
+    for (const listener of this.plumbListeners.get(port) || []) {
+      try {
+        listener(message);
+      } catch (error) {
+        console.error(`[Page9] Plumb listener on ${port} failed:`, error);
+      }
+    }
+  }
+  
+  /**
+   * Listen on a Plumbing Port
+   * The listener receives { id, type, source, path, data, hops, timestamp }, plus
+   * a reason on the dead-letter port. Returns a function that stops
+   * listening
+   */
+  onPlumb(port, listener) {
+    if (!this.plumbListeners.has(port)) {
+      this.plumbListeners.set(port, new Set());
+    }
+    this.plumbListeners.get(port).add(listener);
+    return () => this.plumbListeners.get(port)?.delete(listener);
+  }
+  
+  /**
+   * Connect over 9P
+   * Resolves with an attached NinePClient. Without options.url the kernel
+   * serves the namespace over a MessagePort; options.module gives the
+   * view of that worker module's namespace. options.url connects to a
+   * remote 9P server over a WebSocket instead
+   */
+  async connectNineP(options = {}) {
+    if (typeof NinePClient === 'undefined') {
+      await this.loadScript('/page9-9p.js');
+    }
+    
+    const client = options.url
+      ? await NinePClient.connect(options.url)
+      : NinePClient.overPort(await this.openNinePPort(options.module));
+    
+    await client.version();
+    await client.attach(options.aname || '/');
+    return client;
+  }
+  
+  /**
+   * Open a 9P Port to the Kernel
+   */
+  async openNinePPort(module) {
+    const channel = new MessageChannel();
+    await this.requestKernel('NINEP_CONNECT', { module }, { transfer: [channel.port2] });
+    return channel.port1;
+  }
+  
+  /**
+   * Query Kernel Status
+   */
+  async getKernelStatus() {
+    if (!this.kernelReady) {
+      return { active: false };
+    }
+    
+    return this.requestKernel('KERNEL_STATUS');
+  }
+  
+  /**
+   * Reload Configuration
+   * options.environment also switches the kernel's environment
+   */
+  async reloadConfig(options = {}) {
+    console.log('[Page9] Reloading configuration...');
+    
+    try {
+      const errors = await this.loadConfig();
+      if (errors.length > 0) {
+        this.showError('Invalid configuration:\n' + formatConfigErrors(errors));
+        return;
+      }
+      
+      // Notify kernel to reload config; other tabs refresh on config-reloaded
+      if (this.kernelReady) {
+        const payload = { tab: this.tabId };
+        if (options.environment !== undefined) {
+          payload.environment = options.environment;
+        }
+        
+        await this.requestKernel('RELOAD_CONFIG', payload);
+        this.updateStatus();
+        this.showSuccess('Configuration reloaded successfully');
+      }
+    } catch (error) {
+      if (error.code === 'INVALID_CONFIG') {
+        this.showError('Kernel rejected configuration:\n' + formatConfigErrors(error.errors));
+      } else {
+        this.showError('Failed to reload config: ' + error.message);
+      }
+    }
+  }
+  
+  /**
+   * Switch Config Environment
+   * Overrides the environment chosen by hostname, in this browser, until
+   * cleared with an empty name
+   */
+  async setConfigEnvironment(name) {
+    try {
+      if (name) {
+        localStorage.setItem(CONFIG_ENVIRONMENT_FLAG, name);
+      } else {
+        this.forgetConfigEnvironment();
+      }
+    } catch (error) {
+      console.warn('[Page9] Could not remember environment:', error);
+    }
+    
+    await this.reloadConfig({ environment: name || '' });
+  }
+  
+  /**
+   * Get the Config Environment Override
+   */
+  getConfigEnvironment() {
+    try {
+      return localStorage.getItem(CONFIG_ENVIRONMENT_FLAG);
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * Forget the Config Environment Override
+   */
+  forgetConfigEnvironment() {
+    try {
+      localStorage.removeItem(CONFIG_ENVIRONMENT_FLAG);
+    } catch {
+      // Storage is unavailable, so nothing was remembered
+    }
+  }
+  
+  /**
+   * Get Config Sources
+   * The kernel's config with its environment, the files it was assembled
+   * from in order, and the file each value came from keyed by path
+   * (e.g. 'config.kernel.cachingStrategy')
+   */
+  async getConfigSources() {
+    return this.requestKernel('CONFIG_SOURCES');
+  }
+  
+  /**
+   * Clear Cache
+   */
+  async clearCache() {
+    console.log('[Page9] Clearing cache...');
+    
+    if (!this.kernelReady) {
+      this.showError('Kernel not ready');
+      return;
+    }
+    
+    try {
+      await this.requestKernel('CLEAR_CACHE');
+      this.showSuccess('Cache cleared successfully');
+    } catch (error) {
+      this.showError('Failed to clear cache: ' + error.message);
+    }
+  }
+  
+  /**
+   * List Cache Entries
+   * Each entry has url, cache, strategy, size, storedAt and accessedAt;
+   * the optional glob pattern filters by path
+   */
+  async listCache(pattern) {
+    return this.requestKernel('CACHE_LIST', { pattern });
+  }
+  
+  /**
+   * Evict Cache Entries
+   * Takes a URL, a list of URLs, or a glob pattern such as "/data/*".
+   * Resolves with the evicted URLs
+   */
+  async evictCache(target) {
+    const payload = Array.isArray(target)
+      ? { urls: target }
+      : target.includes('*') ? { pattern: target } : { urls: [target] };
+    
+    const { evicted } = await this.requestKernel('CACHE_EVICT', payload);
+    return evicted;
+  }
+  
+  /**
+   * Prefetch URLs into the Cache
+   * Resolves with { fetched, skipped, failed }; skipped URLs are never
+   * served from the cache, so are not fetched
+   */
+  async prefetch(urls, options = {}) {
+    const { timeout = 30000 } = options;
+    return this.requestKernel('CACHE_PREFETCH', { urls }, { timeout });
+  }
+  
+  /**
+   * List Queued Offline Writes
+   * Each entry has id, url, method, size, queuedAt, attempts and lastError
+   */
+  async getOutbox() {
+    return this.requestKernel('OUTBOX_LIST');
+  }
+  
+  /**
+   * Replay Queued Offline Writes
+   * Resolves with { replayed, pending }
+   */
+  async replayOutbox(options = {}) {
+    const { timeout = 30000 } = options;
+    return this.requestKernel('OUTBOX_REPLAY', null, { timeout });
+  }
+  
+  /**
+   * Discard Queued Offline Writes
+   * One entry by id, or all of them
+   */
+  async discardOutbox(id) {
+    const { discarded } = await this.requestKernel('OUTBOX_DISCARD', { id });
+    return discarded;
+  }
+  
+  /**
+   * Replay the Outbox on Page Load
+   * Covers browsers without Background Sync; also replays when the
+   * browser comes back online
+   */
+  replayOutboxOnLoad() {
+    const replay = () => {
+      // Nothing can have been queued before a kernel controls the page
+      if (!navigator.serviceWorker.controller) return;
+      
+      this.replayOutbox().catch(error => {
+        console.warn('[Page9] Outbox replay failed:', error);
+      });
+    };
+    
+    replay();
+    window.addEventListener('online', replay);
+  }
+  
+  /**
+   * List Snapshots
+   * Each snapshot has name, created, files and size
+   */
+  async listSnapshots() {
+    return this.requestKernel('SNAPSHOT_LIST');
+  }
+  
+  /**
+   * Snapshot the Cached and Stored Namespace
+   * Named after today's date unless a name is given
+   */
+  async createSnapshot(name, options = {}) {
+    const { timeout = 60000 } = options;
+    return this.requestKernel('SNAPSHOT_CREATE', { name }, { timeout });
+  }
+  
+  /**
+   * Delete a Snapshot
+   * Its blocks are freed by the next collectBlocks()
+   */
+  async deleteSnapshot(name) {
+    await this.requestKernel('SNAPSHOT_DELETE', { name });
+  }
+  
+  /**
+   * Delete Blocks No Snapshot References
+   * Resolves with { collected, kept }
+   */
+  async collectBlocks(options = {}) {
+    const { timeout = 60000 } = options;
+    return this.requestKernel('SNAPSHOT_GC', null, { timeout });
+  }
+  
+  /**
+   * Storage Usage and Quota in Bytes
+   */
+  async getStorageEstimate() {
+    return this.requestKernel('STORAGE_ESTIMATE');
+  }
+  
+  /**
+   * List a Directory
+   * Returns the entries of a mounted directory, like ls
+   */
+  async list(path) {
+    if (typeof NinePClient === 'undefined') {
+      await this.loadScript('/page9-9p.js');
+    }
+    
+    return listDirectory(path);
+  }
+  
+  /**
+   * Test Worker
+   */
+  async testWorker() {
+    console.log('[Page9] Testing worker...');
+    
+    if (this.workerPool.length === 0) {
+      this.showError('No workers available');
+      return;
+    }
+    
+    try {
+      const result = await this.submit('COMPUTE', { value: 42 });
+      
+      this.showSuccess(`Worker test successful! Result: ${JSON.stringify(result)}`);
+    } catch (error) {
+      this.showError('Worker test failed: ' + error.message);
+    }
+  }
+  
+  /**
+   * Update Status Display
+   */
+  async updateStatus() {
     const statusDiv = document.getElementById('kernel-status');
     if (!statusDiv) return;
     
@@ -339,13 +1590,14 @@ class Page9 {
           <span class="status-label">Version:</span>
           <span class="status-value">${status.version || 'Unknown'}</span>
         </div>
+        ${this.describeEnvironment(status)}
         <div class="status-item">
           <span class="status-label">Caching Strategy:</span>
           <span class="status-value">${status.config?.kernel?.cachingStrategy || 'cache-first'}</span>
         </div>
         <div class="status-item">
           <span class="status-label">Namespace Root:</span>
-          <span class="status-value">${status.config?.namespace?.root || '/'}</span>
+          <span class="status-value">${escapeHtml(status.config?.namespace?.root || '/')}</span>
         </div>
         <div class="status-item">
           <span class="status-label">Mount Points:</span>
@@ -355,12 +1607,30 @@ class Page9 {
     } catch (error) {
       statusDiv.innerHTML = `
         <div class="status-item error">
-          Failed to query kernel: ${error.message}
+          Failed to query kernel: ${escapeHtml(error.message)}
         </div>
       `;
     }
   }
   
+  /**
+   * Describe the Config Environment for Display
+   * An environment chosen with ?page9-env= stays until cleared, so it is
+   * shown with a link that clears it
+   */
+  describeEnvironment(status) {
+    if (!status.environment) return '';
+    
+    const clear = status.environmentOverride
+      ? ` (chosen with ?${CONFIG_ENVIRONMENT_FLAG}=, <a href="?${CONFIG_ENVIRONMENT_FLAG}=">clear</a>)`
+      : '';
+    return `
+        <div class="status-item">
+          <span class="status-label">Environment:</span>
+          <span class="status-value">${escapeHtml(status.environment)}${clear}</span>
+        </div>`;
+  }
+  
   /**
    * Update Worker Status Display
    */
@@ -373,16 +1643,137 @@ class Page9 {
       return;
     }
     
+    const stats = this.getPoolStats();
     const items = Array.from(this.workers.entries())
       .map(([name, worker]) => `
-        <div class="status-item">
-          <span class="status-label">${name}:</span>
-          <span class="status-value">Ready</span>
+        <div class="status-item${worker.state === 'crashed' ? ' error' : ''}">
+          <span class="status-label">${escapeHtml(name)}:</span>
+          <span class="status-value">${escapeHtml(this.describeWorkerState(worker))}</span>
         </div>
       `)
       .join('');
     
-    statusDiv.innerHTML = items;
+    statusDiv.innerHTML = `
+      <div class="status-item">
+        <span class="status-label">Pool:</span>
+        <span class="status-value">${stats.size} workers (${stats.busy} busy, min ${stats.min}, max ${stats.max}), ${stats.queued} queued</span>
+      </div>
+    ` + items;
+  }
+  
+  /**
+   * Update Cache Panel Display
+   * Lists cache entries matching the #cache-filter pattern
+   */
+  async updateCachePanel() {
+    const panel = document.getElementById('cache-panel');
+    if (!panel || !this.kernelReady) return;
+    
+    const filter = document.getElementById('cache-filter')?.value.trim();
+    
+    try {
+      const [entries, storage] = await Promise.all([
+        this.listCache(filter || undefined),
+        this.getStorageEstimate().catch(() => null)
+      ]);
+      
+      const usage = storage
+        ? `${formatBytes(storage.usage)} of ${formatBytes(storage.quota)}`
+        : 'Unknown';
+      
+      const rows = entries.map(entry => `
+        <tr>
+          <td>${escapeHtml(new URL(entry.url).pathname)}</td>
+          <td>${escapeHtml(entry.cache)}</td>
+          <td>${escapeHtml(entry.strategy || '')}</td>
+          <td>${formatBytes(entry.size)}</td>
+          <td>${entry.storedAt ? new Date(entry.storedAt).toLocaleString() : ''}</td>
+          <td>${entry.strategy === 'precache' ? '' :
+            `<button data-url="${escapeHtml(entry.url)}" onclick="page9.evictFromCachePanel(this.dataset.url)">Evict</button>`}</td>
+        </tr>
+      `).join('');
+      
+      panel.innerHTML = `
+        <div class="status-item">
+          <span class="status-label">Storage:</span>
+          <span class="status-value">${usage}</span>
+        </div>
+        <div class="status-item">
+          <span class="status-label">Entries:</span>
+          <span class="status-value">${entries.length}</span>
+        </div>
+        <table class="cache-table">
+          <tr><th>Path</th><th>Cache</th><th>Strategy</th><th>Size</th><th>Stored</th><th></th></tr>
+          ${rows}
+        </table>
+      `;
+    } catch (error) {
+      panel.innerHTML = `
+        <div class="status-item error">
+          Failed to query cache: ${escapeHtml(error.message)}
+        </div>
+      `;
+    }
+  }
+  
+  /**
+   * Evict from the Cache Panel
+   * Evicts one URL, or everything matching the #cache-filter pattern
+   */
+  async evictFromCachePanel(url) {
+    const target = url || document.getElementById('cache-filter')?.value.trim();
+    if (!target) {
+      this.showError('Enter a URL or pattern to evict');
+      return;
+    }
+    
+    try {
+      const evicted = await this.evictCache(target);
+      console.log(`[Page9] Evicted ${evicted.length} cache entries`);
+      this.updateCachePanel();
+    } catch (error) {
+      this.showError('Failed to evict: ' + error.message);
+    }
+  }
+  
+  /**
+   * Prefetch from the Cache Panel
+   * Prefetches the URLs listed in #cache-prefetch, one per line
+   */
+  async prefetchFromCachePanel() {
+    const input = document.getElementById('cache-prefetch');
+    const urls = (input?.value || '').split('\n').map(url => url.trim()).filter(Boolean);
+    if (urls.length === 0) {
+      this.showError('Enter URLs to prefetch, one per line');
+      return;
+    }
+    
+    try {
+      const { fetched, skipped, failed } = await this.prefetch(urls);
+      if (failed.length > 0 || skipped.length > 0) {
+        this.showError(`Prefetched ${fetched.length}, not cached:\n` + [
+          ...skipped.map(({ url, reason }) => `${url}: ${reason}`),
+          ...failed.map(({ url, error }) => `${url}: ${error}`)
+        ].join('\n'));
+      }
+      this.updateCachePanel();
+    } catch (error) {
+      this.showError('Failed to prefetch: ' + error.message);
+    }
+  }
+  
+  /**
+   * Describe Worker State for Display
+   */
+  describeWorkerState(worker) {
+    switch (worker.state) {
+      case 'starting':
+        return 'Starting';
+      case 'crashed':
+        return `Crashed (${worker.crashReason})`;
+      default:
+        return worker.busy || worker.pendingCalls.size > 0 ? 'Busy' : 'Ready';
+    }
   }
   
   /**
@@ -402,7 +1793,13 @@ class Page9 {
     console.error('[Page9]', message);
     const statusDiv = document.getElementById('kernel-status');
     if (statusDiv) {
-      statusDiv.innerHTML = `<div class="status-item error">${message}</div>`;
+      // Messages carry URLs and config values, so they are set as text;
+      // pre-line keeps the lines of validation error lists apart
+      const item = document.createElement('div');
+      item.className = 'status-item error';
+      item.style.whiteSpace = 'pre-line';
+      item.textContent = message;
+      statusDiv.replaceChildren(item);
     }
   }
   
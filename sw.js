@@ -8,21 +8,72 @@
  * - Zero backend requirements
  */
 
+importScripts('/page9-schema.js', '/page9-9p.js');
+
 const KERNEL_VERSION = '0.1.0';
 const CONFIG_PATH = '/page9.config.json';
+const MANIFEST_PATH = '/page9-manifest.json';
 const CACHE_NAME = `page9-kernel-v${KERNEL_VERSION}`;
+const PRECACHE_PREFIX = 'page9-precache-';
+const PRECACHE_CONCURRENCY = 6;
+const KERNEL_STARTED = Date.now();
+const TRANSFORM_TIMEOUT = 10000;
+
+// Marks responses served without running their transform, which are
+// never cached: "cached" for a cached transformed copy, "unavailable"
+// for the untransformed file
+const TRANSFORM_FALLBACK_HEADER = 'X-Page9-Transform';
+const DB_NAME = 'page9-kernel';
+const DB_VERSION = 5;
+const DEFAULT_INTERCEPT_METHODS = ['GET', 'HEAD'];
+const STORE_WRITE_METHODS = ['PUT', 'POST', 'DELETE'];
+const DIRECTORY_INDEX_FILE = 'page9-index.json';
+const WORKER_RUNTIME_PATHS = ['/page9-worker.js', '/page9-9p.js'];
+const WASM_HOST_PATH = '/page9-wasm.js';
+const OUTBOX_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const OUTBOX_MAX_ATTEMPTS = 10;
+const OUTBOX_SYNC_TAG = 'page9-outbox';
+const SNAPSHOT_NAME_PATTERN = /^(?!\.\.?$)[\w.-]+$/;
+const PROTOCOL_VERSION = 1;
+const EVENT_CHANNEL = 'page9-kernel';
 
 let kernelConfig = null;
+let configLayers = null;
+let usingDefaultConfig = false;
+let kernelDB = null;
+let siteManifest = null;
+let precacheState = null;
+let compiledRules = null;
+let outboxReplay = null;
+let snapshotTasks = Promise.resolve();
+let clientRequestCount = 0;
+
+// Once any worker has a private namespace, workers the kernel cannot tie
+// to a configured script (blob: workers, workers started by workers) may
+// only import the worker runtime
+const UNIDENTIFIED_WORKER = Object.freeze({ module: null, root: '', mounts: [], hide: [], unidentified: true });
+
+// 9P clients for 9p mounts, by server URL
+const remoteClients = new Map();
+
+// Cache writes still running after their response was served
+const pendingCacheWrites = new Set();
+
+// Kernel events are broadcast to every tab
+const kernelEvents = new BroadcastChannel(EVENT_CHANNEL);
 
 /**
  * Install Event - Kernel Initialization
+ * Precaches into a new cache; if any asset fails the install fails and
+ * the running kernel is untouched. The new kernel then waits until a
+ * page calls applyUpdate() (SKIP_WAITING)
  */
 self.addEventListener('install', (event) => {
   console.log('[Page9 Kernel] Installing kernel v' + KERNEL_VERSION);
   
   event.waitUntil(
     loadKernelConfig()
-      .then(() => self.skipWaiting())
+      .then(() => installPrecache())
   );
 });
 
@@ -33,8 +84,10 @@ self.addEventListener('activate', (event) => {
   console.log('[Page9 Kernel] Activating kernel v' + KERNEL_VERSION);
   
   event.waitUntil(
-    cleanOldCaches()
+    activatePrecache()
+      .then(() => cleanOldCaches())
       .then(() => self.clients.claim())
+      .then(() => broadcastEvent('kernel-updated', { version: KERNEL_VERSION }))
   );
 });
 
@@ -49,61 +102,363 @@ self.addEventListener('fetch', (event) => {
     return;
   }
   
-  event.respondWith(
-    handleRequest(event.request)
+  // A navigation creates a page, which sees the site's namespace
+  if (kernelConfig && event.request.mode === 'navigate' && event.resultingClientId) {
+    getClientNamespaces().set(event.resultingClientId, null);
+  }
+  
+  // Leave requests the kernel does not intercept to the browser. Before
+  // the config is loaded the decision is made in handleRequest instead,
+  // and so it is for clients not yet known not to be namespaced workers,
+  // which must not reach the host around their namespace
+  if (kernelConfig && !shouldIntercept(event.request) && peekClientNamespace(event.clientId) === null) {
+    return;
+  }
+  
+  const response = handleRequest(event.request, event.clientId);
+  event.respondWith(response);
+  
+  // Keep the kernel alive until the caching strategies have stored it
+  event.waitUntil(response.catch(() => {}).then(settleCacheWrites));
+});
+
+/**
+ * Sync Event - Background Sync Outbox Replay
+ * Rejecting while writes are still pending makes the browser retry later
+ */
+self.addEventListener('sync', (event) => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return;
+  
+  event.waitUntil(
+    replayOutbox().then(({ pending }) => {
+      if (pending > 0) {
+        throw new Error(`${pending} outbox requests still pending`);
+      }
+    })
   );
 });
 
 /**
- * Message Event - Worker Communication Protocol
+ * Message Event - Kernel Control Protocol
+ * Requests:  { protocol, id, type, payload } with a reply MessagePort
+ * Replies:   { protocol, id, ok: true, result }
+ *            { protocol, id, ok: false, error: { message, code, ... } }
  */
 self.addEventListener('message', (event) => {
-  const { type, payload } = event.data;
-  
-  switch (type) {
-    case 'KERNEL_STATUS':
-      event.ports[0].postMessage({
-        version: KERNEL_VERSION,
-        config: kernelConfig,
-        active: true
-      });
-      break;
-      
-    case 'RELOAD_CONFIG':
-      loadKernelConfig().then(() => {
-        event.ports[0].postMessage({ success: true });
-      });
-      break;
-      
-    case 'CLEAR_CACHE':
-      clearCache().then(() => {
-        event.ports[0].postMessage({ success: true });
-      });
-      break;
-      
-    default:
-      console.log('[Page9 Kernel] Unknown message type:', type);
+  const { protocol, id, type, payload } = event.data || {};
+  const port = event.ports[0];
+  
+  const reply = (message) => {
+    if (port) {
+      port.postMessage({ protocol: PROTOCOL_VERSION, id, ...message });
+    }
+  };
+  
+  if (protocol !== PROTOCOL_VERSION) {
+    reply({ ok: false, error: { message: `Unsupported protocol version: ${protocol}`, code: 'UNSUPPORTED_PROTOCOL' } });
+    return;
+  }
+  
+  const operation = KERNEL_OPERATIONS[type];
+  if (!operation) {
+    console.log('[Page9 Kernel] Unknown message type:', type);
+    reply({ ok: false, error: { message: `Unknown message type: ${type}`, code: 'UNKNOWN_TYPE' } });
+    return;
   }
+  
+  event.waitUntil(
+    Promise.resolve()
+      .then(() => operation(payload, event))
+      .then(
+        result => reply({ ok: true, result }),
+        error => {
+          console.error(`[Page9 Kernel] ${type} failed:`, error);
+          reply({ ok: false, error: serializeKernelError(error) });
+        }
+      )
+      .then(settleCacheWrites)
+  );
 });
 
+/**
+ * Kernel Operations
+ * Handlers for control protocol requests; thrown errors become error replies
+ */
+const KERNEL_OPERATIONS = {
+  KERNEL_STATUS: async () => {
+    const precache = await getPrecacheState();
+    
+    return {
+      version: KERNEL_VERSION,
+      protocol: PROTOCOL_VERSION,
+      config: kernelConfig,
+      environment: configLayers?.environment ?? null,
+      environmentOverride: configLayers?.override ?? false,
+      active: self.serviceWorker ? self.serviceWorker.state === 'activated' : true,
+      precache: precache && {
+        revision: precache.revision,
+        assets: Object.keys(precache.assets).length
+      }
+    };
+  },
+  
+  // Sent to a waiting kernel to take over from the running one
+  SKIP_WAITING: async () => {
+    await self.skipWaiting();
+    return { version: KERNEL_VERSION };
+  },
+  
+  // payload.environment selects an environment overlay; '' or null clears
+  // it. payload.tab is echoed in the event so the tab that asked can skip it
+  RELOAD_CONFIG: async (payload) => {
+    const { success, errors } = await loadKernelConfig({ environment: payload?.environment });
+    if (!success) {
+      throw kernelError('Configuration rejected', 'INVALID_CONFIG', { errors });
+    }
+    
+    broadcastEvent('config-reloaded', {
+      config: kernelConfig,
+      environment: configLayers?.environment ?? null,
+      tab: payload?.tab ?? null
+    });
+    return { success, errors };
+  },
+  
+  // The loaded config with the file each value came from
+  CONFIG_SOURCES: async () => ({
+    config: kernelConfig,
+    environment: configLayers?.environment ?? null,
+    files: configLayers?.files ?? [],
+    sources: configLayers?.sources ?? {}
+  }),
+  
+  CLEAR_CACHE: async () => {
+    await clearCache();
+    broadcastEvent('cache-cleared', {});
+    return { success: true };
+  },
+  
+  CACHE_LIST: async (payload) => listCacheEntries(payload?.pattern),
+  
+  CACHE_EVICT: async (payload) => {
+    if (!payload?.urls && !payload?.pattern) {
+      throw kernelError('CACHE_EVICT needs urls or a pattern', 'INVALID_REQUEST');
+    }
+    
+    const evicted = await evictCacheEntries(payload);
+    broadcastEvent('cache-evicted', { urls: evicted });
+    return { evicted };
+  },
+  
+  CACHE_PREFETCH: async (payload) => {
+    if (!Array.isArray(payload?.urls)) {
+      throw kernelError('CACHE_PREFETCH needs a list of urls', 'INVALID_REQUEST');
+    }
+    
+    return prefetchUrls(payload.urls);
+  },
+  
+  OUTBOX_LIST: async () => listOutbox(),
+  
+  OUTBOX_REPLAY: async () => replayOutbox(),
+  
+  OUTBOX_DISCARD: async (payload) => {
+    const discarded = await discardOutbox(payload?.id);
+    broadcastEvent('outbox-discarded', { ids: discarded, pending: (await getOutboxEntries()).length });
+    return { discarded };
+  },
+  
+  SNAPSHOT_LIST: async () => listSnapshots(),
+  
+  SNAPSHOT_CREATE: async (payload) => {
+    const snapshot = await createSnapshot(payload?.name);
+    broadcastEvent('snapshot-created', snapshot);
+    return snapshot;
+  },
+  
+  SNAPSHOT_DELETE: async (payload) => {
+    if (!payload?.name) {
+      throw kernelError('SNAPSHOT_DELETE needs a name', 'INVALID_REQUEST');
+    }
+    
+    await deleteSnapshot(payload.name);
+    broadcastEvent('snapshot-deleted', { name: payload.name });
+    return { deleted: payload.name };
+  },
+  
+  SNAPSHOT_GC: async () => collectBlocks(),
+  
+  // The second transferred port becomes a 9P connection to the namespace,
+  // as the sender sees it. Pages, which see everything, may ask for the
+  // view of a worker module instead
+  NINEP_CONNECT: async (payload, event) => {
+    const port = event.ports[1];
+    if (!port) {
+      throw kernelError('NINEP_CONNECT needs a MessagePort', 'INVALID_REQUEST');
+    }
+    
+    let namespace = await resolveClientNamespace(event.source?.id, UNIDENTIFIED_WORKER);
+    if (namespace?.unidentified) {
+      throw kernelError('Unidentified workers cannot connect over 9P', 'FORBIDDEN');
+    }
+    if (!namespace && payload?.module) {
+      namespace = Array.from(getWorkerNamespaces().values()).find(namespace => namespace.module === payload.module) || null;
+    }
+    serveNineP(port, namespace);
+    return { version: NINEP_VERSION, msize: NINEP_MSIZE };
+  },
+  
+  STORAGE_ESTIMATE: async () => {
+    if (!self.navigator.storage?.estimate) {
+      throw kernelError('Storage estimates are not supported', 'UNSUPPORTED');
+    }
+    
+    const { usage, quota } = await self.navigator.storage.estimate();
+    return { usage, quota };
+  }
+};
+
+/**
+ * Kernel Error
+ * An Error with a protocol error code and extra reply fields
+ */
+function kernelError(message, code, details = {}) {
+  return Object.assign(new Error(message), { code, details });
+}
+
+/**
+ * Serialize Kernel Error for a Reply
+ */
+function serializeKernelError(error) {
+  return {
+    ...error.details,
+    message: error.message,
+    code: error.code || 'KERNEL_ERROR'
+  };
+}
+
+/**
+ * Broadcast Kernel Event
+ * Delivered to every tab through the page9-kernel BroadcastChannel
+ */
+function broadcastEvent(name, data) {
+  kernelEvents.postMessage({
+    protocol: PROTOCOL_VERSION,
+    event: name,
+    data,
+    timestamp: Date.now()
+  });
+}
+
 /**
  * Load Kernel Configuration
+ * The config is assembled from its includes and the environment overlay
+ * (see loadPage9Config). Configs failing validation are rejected and the
+ * last-known-good config stays active. options.environment overrides the
+ * environment chosen by hostname, and is remembered once it loads; an empty
+ * name clears the override. Resolves with { success, errors }
  */
-async function loadKernelConfig() {
+async function loadKernelConfig(options = {}) {
+  let layered;
+  let override;
+  
+  // The site may have been redeployed along with its config
+  siteManifest = null;
+  
   try {
-    const response = await fetch(CONFIG_PATH);
-    if (!response.ok) {
+    const saved = options.environment === undefined &&
+      await dbTransaction('kernel-state', 'readonly', store => store.get('environment')).catch(() => null);
+    const load = environment => loadPage9Config(CONFIG_PATH, fetchConfigFile, {
+      hostname: self.location.hostname,
+      environment
+    });
+    
+    override = saved || options.environment || null;
+    layered = await load(override).catch(async (error) => {
+      // A remembered environment may since have been removed from the config
+      if (!saved || error.code !== 'UNKNOWN_ENVIRONMENT') throw error;
+      console.warn(`[Page9 Kernel] Environment ${saved} is no longer declared, forgetting it`);
+      await dbTransaction('kernel-state', 'readwrite', store => store.delete('environment'));
+      override = null;
+      return load(null);
+    });
+    
+    // Defaults stand in for a config only until one has been accepted
+    if (!layered) {
+      if (await restoreLastGoodConfig()) {
+        console.error(`[Page9 Kernel] ${CONFIG_PATH} not found`);
+        return { success: false, errors: [{ path: 'config', message: `${CONFIG_PATH} not found` }] };
+      }
+      
       console.warn('[Page9 Kernel] No config found, using defaults');
-      kernelConfig = getDefaultConfig();
-      return;
+      configLayers = null;
+      return { success: true, errors: [] };
     }
-    
-    kernelConfig = await response.json();
-    console.log('[Page9 Kernel] Configuration loaded:', kernelConfig);
   } catch (error) {
     console.error('[Page9 Kernel] Failed to load config:', error);
-    kernelConfig = getDefaultConfig();
+    await restoreLastGoodConfig();
+    return { success: false, errors: [{ path: 'config', message: error.message }] };
+  }
+  
+  const { config, environment, files, sources } = layered;
+  const errors = validatePage9Config(config, sources);
+  if (errors.length > 0) {
+    console.error('[Page9 Kernel] Configuration rejected:\n' + formatConfigErrors(errors));
+    await restoreLastGoodConfig();
+    return { success: false, errors };
+  }
+  
+  kernelConfig = config;
+  configLayers = { environment, override: Boolean(override), files, sources };
+  usingDefaultConfig = false;
+  identifyClients().catch(error => console.warn('[Page9 Kernel] Could not identify clients:', error));
+  console.log(`[Page9 Kernel] Configuration loaded${environment ? ` (environment ${environment})` : ''}:`, kernelConfig);
+  
+  try {
+    await dbTransaction('kernel-state', 'readwrite', (store) => {
+      store.put(config, 'config');
+      if (options.environment) {
+        store.put(options.environment, 'environment');
+      } else if (options.environment !== undefined) {
+        store.delete('environment');
+      }
+    });
+  } catch (error) {
+    console.warn('[Page9 Kernel] Could not persist configuration:', error);
+  }
+  
+  return { success: true, errors: [] };
+}
+
+/**
+ * Restore Last-Known-Good Configuration
+ * Keeps the running config, or restores the one persisted by a previous
+ * kernel instance, before falling back to defaults. Resolves with false
+ * when it fell back to defaults
+ */
+async function restoreLastGoodConfig() {
+  if (kernelConfig && !usingDefaultConfig) {
+    console.warn('[Page9 Kernel] Keeping current configuration');
+    return true;
+  }
+  
+  let saved = null;
+  try {
+    saved = await dbTransaction('kernel-state', 'readonly', store => store.get('config'));
+  } catch (error) {
+    console.warn('[Page9 Kernel] Could not read saved configuration:', error);
+  }
+  
+  if (saved) {
+    console.warn('[Page9 Kernel] Restored last-known-good configuration');
+    kernelConfig = saved;
+    usingDefaultConfig = false;
+    return true;
   }
+  
+  kernelConfig = getDefaultConfig();
+  usingDefaultConfig = true;
+  return false;
 }
 
 /**
@@ -118,7 +473,9 @@ function getDefaultConfig() {
     kernel: {
       version: KERNEL_VERSION,
       cachingStrategy: 'cache-first',
-      interceptPatterns: ['/*']
+      interceptPatterns: ['/*'],
+      excludePatterns: [],
+      interceptMethods: DEFAULT_INTERCEPT_METHODS
     },
     workers: {
       enabled: true,
@@ -132,7 +489,7 @@ function getDefaultConfig() {
 /**
  * Handle Request - Core Routing Logic (Plan9 style)
  */
-async function handleRequest(request) {
+async function handleRequest(request, clientId) {
   const url = new URL(request.url);
   const pathname = url.pathname;
   
@@ -141,6 +498,56 @@ async function handleRequest(request) {
     await loadKernelConfig();
   }
   
+  // Workers with a private namespace only see what it binds
+  const namespace = await resolveClientNamespace(clientId);
+  if (!namespace && !shouldIntercept(request)) {
+    return fetch(request);
+  }
+  if (namespace?.unidentified && !WORKER_RUNTIME_PATHS.includes(pathname)) {
+    return new Response('Forbidden', { status: 403 });
+  }
+  
+  let response;
+  try {
+    if (namespace) {
+      response = await routeWorkerRequest(request, namespace);
+    } else if (isOutboxRequest(request)) {
+      response = await handleOutboxRequest(request);
+    } else {
+      response = await routeRequest(request);
+    }
+  } catch (error) {
+    console.error('[Page9 Kernel] Request failed:', pathname, error);
+    response = new Response('Network error', { status: 503 });
+  }
+  
+  // Navigations get the SPA fallback or a custom error page
+  if (request.mode === 'navigate' && response.status >= 400) {
+    return serveErrorDocument(request, response);
+  }
+  
+  return response;
+}
+
+/**
+ * Route Request
+ * Redirects, then rewrites, then routes, mounts and the default handler.
+ * The view describes how a namespaced worker sees the request
+ */
+async function routeRequest(request, view = null) {
+  const redirect = matchRedirect(request);
+  if (redirect) {
+    return redirect;
+  }
+  
+  request = await applyRewrites(request);
+  const pathname = new URL(request.url).pathname;
+  
+  // A rewrite must not take a worker out of its root or onto a hidden path
+  if (view && !isInView(pathname, view)) {
+    return new Response('File not found', { status: 404 });
+  }
+  
   // Check if path matches a configured route
   const route = matchRoute(pathname);
   if (route) {
@@ -148,9 +555,9 @@ async function handleRequest(request) {
   }
   
   // Check namespace mounts
-  const mount = findMount(pathname);
-  if (mount) {
-    return handleMountRequest(request, mount);
+  const union = findUnion(pathname);
+  if (union) {
+    return handleMountRequest(request, union, view);
   }
   
   // Default behavior based on caching strategy
@@ -158,211 +565,2824 @@ async function handleRequest(request) {
 }
 
 /**
- * Match Route Configuration
+ * Is Outbox Request
+ * Writes to kernel.outbox.patterns are queued when the network is down
  */
-function matchRoute(pathname) {
-  if (!kernelConfig.routes) return null;
+function isOutboxRequest(request) {
+  const outbox = kernelConfig.kernel?.outbox;
+  if (!outbox) return false;
   
-  // Exact match
-  if (kernelConfig.routes[pathname]) {
-    return kernelConfig.routes[pathname];
-  }
+  const methods = outbox.methods || OUTBOX_METHODS;
+  const pathname = new URL(request.url).pathname;
+  return methods.includes(request.method) &&
+    (outbox.patterns || []).some(pattern => matchPattern(pathname, pattern));
+}
+
+/**
+ * Handle Outbox Request
+ * Sent straight away when nothing is queued; queued when the network
+ * fails, or behind earlier queued writes so they replay in order
+ */
+async function handleOutboxRequest(request) {
+  const entry = {
+    url: request.url,
+    method: request.method,
+    headers: Array.from(request.headers),
+    body: await request.arrayBuffer(),
+    queuedAt: Date.now(),
+    attempts: 0,
+    lastError: null
+  };
   
-  // Pattern matching
-  for (const [pattern, route] of Object.entries(kernelConfig.routes)) {
-    if (matchPattern(pathname, pattern)) {
-      return route;
+  if ((await getOutboxEntries()).length === 0) {
+    try {
+      return await routeRequest(outboxRequest(entry));
+    } catch (error) {
+      console.warn('[Page9 Kernel] Network unavailable, queueing:', entry.method, entry.url);
     }
+  } else {
+    replayOutbox().catch(error => console.error('[Page9 Kernel] Outbox replay failed:', error));
   }
   
-  return null;
+  return queueOutboxRequest(entry);
+}
+
+/**
+ * Queue Outbox Request
+ * Answers 202 Accepted with the outbox id
+ */
+async function queueOutboxRequest(entry) {
+  const id = await addOutboxEntry(entry);
+  const pending = (await getOutboxEntries()).length;
+  
+  broadcastEvent('outbox-queued', { id, url: entry.url, method: entry.method, pending });
+  
+  // Background Sync replays even after every tab is closed
+  try {
+    await self.registration.sync?.register(OUTBOX_SYNC_TAG);
+  } catch (error) {
+    console.warn('[Page9 Kernel] Background Sync unavailable:', error);
+  }
+  
+  return new Response(JSON.stringify({ queued: true, id, pending }), {
+    status: 202,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Page9-Outbox': 'queued'
+    }
+  });
 }
 
 /**
- * Simple Pattern Matching
- * Escapes all special regex characters to prevent injection
+ * Build a Request from an Outbox Entry
  */
-function matchPattern(pathname, pattern) {
-  // Escape all regex special characters except * (which we want to use as wildcard)
-  const regexPattern = pattern
-    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')  // Escape special chars including backslash
-    .replace(/\*/g, '.*');                   // Then convert * to .*
-  const regex = new RegExp(`^${regexPattern}$`);
-  return regex.test(pathname);
+function outboxRequest(entry) {
+  return new Request(entry.url, {
+    method: entry.method,
+    headers: entry.headers,
+    body: entry.body
+  });
 }
 
 /**
- * Find Mount Point (Plan9 namespace style)
+ * Replay Outbox
+ * One replay runs at a time; concurrent callers share its result
  */
-function findMount(pathname) {
-  if (!kernelConfig.namespace?.mounts) return null;
-  
-  // Find longest matching mount
-  let bestMatch = null;
-  let bestLength = 0;
-  
-  for (const mount of kernelConfig.namespace.mounts) {
-    if (pathname.startsWith(mount.path) && mount.path.length > bestLength) {
-      bestMatch = mount;
-      bestLength = mount.path.length;
-    }
+function replayOutbox() {
+  if (!outboxReplay) {
+    outboxReplay = drainOutbox().finally(() => {
+      outboxReplay = null;
+    });
   }
   
-  return bestMatch;
+  return outboxReplay;
 }
 
 /**
- * Handle Route Request
+ * Drain Outbox
+ * Replays queued writes oldest first and stops at the first one that
+ * cannot be delivered, so order is kept. Network failures leave the entry
+ * untouched; 5xx responses count as attempts, and an entry is dropped
+ * after kernel.outbox.maxAttempts. Resolves with { replayed, pending }
  */
-async function handleRouteRequest(request, route) {
-  try {
-    const fileUrl = new URL(route.file, self.location.origin);
-    const fileRequest = new Request(fileUrl, {
-      method: request.method,
-      headers: request.headers
-    });
+async function drainOutbox() {
+  if (!kernelConfig) {
+    await loadKernelConfig();
+  }
+  
+  const maxAttempts = kernelConfig.kernel?.outbox?.maxAttempts || OUTBOX_MAX_ATTEMPTS;
+  let replayed = 0;
+  
+  // Re-read the head each time so writes queued meanwhile are included
+  for (;;) {
+    const [entry] = await getOutboxEntries();
+    if (!entry) break;
     
-    const response = await fetch(fileRequest);
+    const summary = { id: entry.id, url: entry.url, method: entry.method };
+    let response;
     
-    // Apply custom headers if specified
-    if (route.headers) {
-      const headers = new Headers(response.headers);
-      for (const [key, value] of Object.entries(route.headers)) {
-        headers.set(key, value);
+    try {
+      response = await routeRequest(outboxRequest(entry));
+    } catch (error) {
+      console.warn('[Page9 Kernel] Outbox replay deferred, network unavailable');
+      break;
+    }
+    
+    if (response.status >= 500) {
+      entry.attempts++;
+      entry.lastError = `HTTP ${response.status}`;
+      
+      if (entry.attempts < maxAttempts) {
+        await putOutboxEntry(entry);
+        break;
       }
-      return new Response(response.body, {
-        status: response.status,
-        statusText: response.statusText,
-        headers
-      });
+      
+      await deleteOutboxEntry(entry.id);
+      broadcastEvent('outbox-failed', { ...summary, status: response.status, attempts: entry.attempts });
+      continue;
     }
     
-    return response;
-  } catch (error) {
-    console.error('[Page9 Kernel] Route request failed:', error);
-    return new Response('Route not found', { status: 404 });
+    await deleteOutboxEntry(entry.id);
+    replayed++;
+    broadcastEvent('outbox-replayed', { ...summary, status: response.status, ok: response.ok });
   }
+  
+  const pending = (await getOutboxEntries()).length;
+  return { replayed, pending };
 }
 
 /**
- * Handle Mount Request (Plan9 namespace translation)
+ * List Outbox
+ * Queued writes without their bodies
  */
-async function handleMountRequest(request, mount) {
-  const url = new URL(request.url);
-  const pathname = url.pathname;
-  
-  // Translate path through mount
-  const relativePath = pathname.substring(mount.path.length);
-  const targetPath = mount.target + relativePath;
-  
-  try {
-    const targetUrl = new URL(targetPath, self.location.origin);
-    return fetch(new Request(targetUrl, {
-      method: request.method,
-      headers: request.headers
-    }));
-  } catch (error) {
-    console.error('[Page9 Kernel] Mount request failed:', error);
-    return new Response('Mount point not accessible', { status: 404 });
-  }
+async function listOutbox() {
+  const entries = await getOutboxEntries();
+  return entries.map(entry => ({
+    id: entry.id,
+    url: entry.url,
+    method: entry.method,
+    size: entry.body.byteLength,
+    queuedAt: new Date(entry.queuedAt).toISOString(),
+    attempts: entry.attempts,
+    lastError: entry.lastError
+  }));
 }
 
 /**
- * Handle Default Request with Caching Strategy
+ * Discard Outbox Entries
+ * One entry by id, or all of them
  */
-async function handleDefaultRequest(request) {
-  const strategy = kernelConfig?.kernel?.cachingStrategy || 'cache-first';
+async function discardOutbox(id) {
+  const ids = id === undefined
+    ? (await getOutboxEntries()).map(entry => entry.id)
+    : [id];
   
-  switch (strategy) {
-    case 'cache-first':
-      return cacheFirst(request);
-    case 'network-first':
-      return networkFirst(request);
-    case 'stale-while-revalidate':
-      return staleWhileRevalidate(request);
-    default:
-      return fetch(request);
-  }
+  await Promise.all(ids.map(entryId => deleteOutboxEntry(entryId)));
+  return ids;
 }
 
 /**
- * Cache-First Strategy
+ * Match Redirect
+ * The first redirect whose pattern matches answers with its status
+ * (301 by default). {name} in the target is filled from the captures, and
+ * the query string is kept unless the target has its own
  */
-async function cacheFirst(request) {
-  const cache = await caches.open(CACHE_NAME);
-  const cached = await cache.match(request);
-  
-  if (cached) {
-    return cached;
-  }
+function matchRedirect(request) {
+  const url = new URL(request.url);
   
-  try {
-    const response = await fetch(request);
-    if (response.ok) {
-      cache.put(request, response.clone());
+  for (const { regex, route: rule } of getCompiledRules('redirects')) {
+    const match = regex.exec(url.pathname);
+    if (match) {
+      const target = new URL(fillTemplate(rule.to, match.groups || {}), self.location.origin);
+      if (!rule.to.includes('?')) {
+        target.search = url.search;
+      }
+      return Response.redirect(target.href, rule.status || 301);
     }
-    return response;
-  } catch (error) {
-    console.error('[Page9 Kernel] Fetch failed:', error);
-    return new Response('Network error', { status: 503 });
   }
+  
+  return null;
 }
 
 /**
- * Network-First Strategy
+ * Apply Rewrites
+ * The first matching rewrite serves another path in place of the requested
+ * one, without the client seeing a redirect
  */
-async function networkFirst(request) {
-  try {
-    const response = await fetch(request);
-    if (response.ok) {
-      const cache = await caches.open(CACHE_NAME);
-      cache.put(request, response.clone());
-    }
-    return response;
-  } catch (error) {
-    const cache = await caches.open(CACHE_NAME);
-    const cached = await cache.match(request);
-    if (cached) {
-      return cached;
+async function applyRewrites(request) {
+  const url = new URL(request.url);
+  
+  for (const { regex, route: rule } of getCompiledRules('rewrites')) {
+    const match = regex.exec(url.pathname);
+    if (match) {
+      const target = new URL(fillTemplate(rule.to, match.groups || {}), self.location.origin);
+      if (target.origin !== self.location.origin) {
+        console.error('[Page9 Kernel] Rewrites must stay on this origin:', rule.to);
+        return request;
+      }
+      if (!rule.to.includes('?')) {
+        target.search = url.search;
+      }
+      
+      return retargetRequest(request, target);
     }
-    return new Response('Network error and no cache', { status: 503 });
   }
+  
+  return request;
 }
 
 /**
- * Stale-While-Revalidate Strategy
+ * Retarget Request
+ * Copies a request to another URL, body included
  */
-async function staleWhileRevalidate(request) {
-  const cache = await caches.open(CACHE_NAME);
-  const cached = await cache.match(request);
-  
-  const fetchPromise = fetch(request).then(response => {
+async function retargetRequest(request, target) {
+  const hasBody = !['GET', 'HEAD'].includes(request.method);
+  return new Request(target, {
+    method: request.method,
+    headers: request.headers,
+    body: hasBody ? await request.arrayBuffer() : undefined
+  });
+}
+
+/**
+ * Get Compiled Redirect or Rewrite Rules
+ * Tried in config order
+ */
+function getCompiledRules(section) {
+  return getCompiled(section, () => (kernelConfig[section] || [])
+    .map((rule, order) => compileRoute(rule.from, rule, order))
+    .filter(Boolean));
+}
+
+/**
+ * Fill Template
+ * Replaces {name} with raw captured values
+ */
+function fillTemplate(template, params) {
+  return template.replace(/\{(\w+)\}/g, (token, name) => name in params ? params[name] : token);
+}
+
+/**
+ * Serve Error Document
+ * A 404 or offline (503) navigation gets the SPA fallback document unless
+ * excluded; otherwise errorPages[status] is served with the original
+ * status. Falls back to the original response if neither is available
+ */
+async function serveErrorDocument(request, response) {
+  const pathname = new URL(request.url).pathname;
+  const fallback = typeof kernelConfig.fallback === 'string'
+    ? { file: kernelConfig.fallback }
+    : kernelConfig.fallback;
+  
+  if (fallback && [404, 503].includes(response.status) &&
+      !(fallback.exclude || []).some(pattern => matchPattern(pathname, pattern))) {
+    const document = await fetchDocument(fallback.file);
+    if (document) return document;
+  }
+  
+  const errorPage = kernelConfig.errorPages?.[response.status];
+  if (errorPage) {
+    const document = await fetchDocument(errorPage);
+    if (document) {
+      return new Response(document.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: document.headers
+      });
+    }
+  }
+  
+  return response;
+}
+
+/**
+ * Fetch Document
+ * Fetched like any unrouted file, so cached or precached copies work
+ * offline. Resolves with null when unavailable
+ */
+async function fetchDocument(path) {
+  try {
+    const response = await handleDefaultRequest(new Request(new URL(path, self.location.origin)));
+    return response.ok ? response : null;
+  } catch (error) {
+    console.warn('[Page9 Kernel] Document unavailable:', path, error);
+    return null;
+  }
+}
+
+/**
+ * Should Intercept Request
+ * Applies kernel.interceptMethods, interceptPatterns and excludePatterns
+ */
+function shouldIntercept(request) {
+  const kernel = kernelConfig.kernel || {};
+  const methods = kernel.interceptMethods || DEFAULT_INTERCEPT_METHODS;
+  const pathname = new URL(request.url).pathname;
+  
+  // Writes to store mounts are always handled by the kernel
+  if (STORE_WRITE_METHODS.includes(request.method)) {
+    const union = findUnion(pathname);
+    if (union && union.some(mount => mount.type === 'store')) {
+      return true;
+    }
+  }
+  
+  // So are writes that may need to wait in the outbox
+  if (isOutboxRequest(request)) {
+    return true;
+  }
+  
+  if (!methods.includes(request.method)) {
+    return false;
+  }
+  
+  const patterns = kernel.interceptPatterns || ['/*'];
+  const excluded = kernel.excludePatterns || [];
+  
+  return patterns.some(pattern => matchPattern(pathname, pattern)) &&
+    !excluded.some(pattern => matchPattern(pathname, pattern));
+}
+
+/**
+ * Match Route Configuration
+ * Routes are tried by priority, then most specific first. Returns the
+ * route with its captured params filled into the file and header
+ * templates, or null
+ */
+function matchRoute(pathname) {
+  for (const compiled of getCompiledRoutes()) {
+    const match = compiled.regex.exec(pathname);
+    if (match) {
+      return resolveRoute(compiled.route, match.groups || {});
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Get Compiled Routes
+ * In match order
+ */
+function getCompiledRoutes() {
+  return getCompiled('routes', () => {
+    const routes = Object.entries(kernelConfig.routes || {})
+      .map(([pattern, route], order) => compileRoute(pattern, route, order))
+      .filter(Boolean);
+    
+    return routes.sort((a, b) =>
+      b.priority - a.priority ||
+      b.staticLength - a.staticLength ||
+      a.splats - b.splats ||
+      a.params - b.params ||
+      a.order - b.order);
+  });
+}
+
+/**
+ * Get Compiled Config Section
+ * Compiled patterns are cached until the config changes
+ */
+function getCompiled(section, compile) {
+  if (compiledRules?.config !== kernelConfig) {
+    compiledRules = { config: kernelConfig };
+  }
+  
+  if (!compiledRules[section]) {
+    compiledRules[section] = compile();
+  }
+  
+  return compiledRules[section];
+}
+
+/**
+ * Compile Route Pattern
+ *   :name   one path segment, or what constraints[name] matches
+ *   *name   the rest of the path, including slashes
+ *   *       anything (unnamed)
+ * Specificity counts literal characters, then fewer wildcards
+ */
+function compileRoute(pattern, route, order) {
+  const constraints = route.constraints || {};
+  let staticLength = 0;
+  let params = 0;
+  let splats = 0;
+  
+  const source = pattern.replace(/:(\w+)|\*(\w*)|[^:*]+|:/g, (token, param, splat) => {
+    if (param) {
+      params++;
+      return `(?<${param}>${constraints[param] ? `(?:${constraints[param]})` : '[^/]+'})`;
+    }
+    if (token.startsWith('*')) {
+      splats++;
+      return splat ? `(?<${splat}>.*)` : '.*';
+    }
+    staticLength += token.length;
+    return token.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  });
+  
+  try {
+    return {
+      route,
+      regex: new RegExp(`^${source}$`),
+      priority: route.priority || 0,
+      staticLength,
+      params,
+      splats,
+      order
+    };
+  } catch (error) {
+    console.error(`[Page9 Kernel] Invalid route pattern ${pattern}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Resolve Route Templates
+ * {name} in file is replaced by the raw captured value, in headers by the
+ * decoded value
+ */
+function resolveRoute(route, params) {
+  const decoded = {};
+  for (const [name, value] of Object.entries(params)) {
+    try {
+      decoded[name] = decodeURIComponent(value);
+    } catch {
+      decoded[name] = value;
+    }
+  }
+  
+  const resolved = { ...route, params, file: fillTemplate(route.file, params) };
+  
+  if (route.headers) {
+    resolved.headers = {};
+    for (const [key, value] of Object.entries(route.headers)) {
+      resolved.headers[key] = fillTemplate(value, decoded);
+    }
+  }
+  
+  return resolved;
+}
+
+/**
+ * Find Mount Point (Plan9 namespace style)
+ * Returns the union bound at the longest matching mount path
+ */
+function findUnion(pathname, mounts = kernelConfig.namespace?.mounts) {
+  if (!mounts) return null;
+  
+  // Find longest matching mount
+  let bestMatch = null;
+  let bestLength = 0;
+  
+  for (const mount of mounts) {
+    if (pathname.startsWith(mount.path) && mount.path.length > bestLength) {
+      bestMatch = mount;
+      bestLength = mount.path.length;
+    }
+  }
+  
+  if (!bestMatch) return null;
+  
+  const union = resolveUnion(bestMatch.path, mounts);
+  return union.length > 0 ? union : null;
+}
+
+/**
+ * Resolve Union Directory
+ * Mounts sharing a path are combined in config order, like Plan9 bind:
+ *   "after" (default) appends, "before" prepends, "replace" starts over
+ */
+function resolveUnion(path, mounts = kernelConfig.namespace.mounts) {
+  let union = [];
+  
+  for (const mount of mounts) {
+    if (mount.path !== path) continue;
+    
+    switch (mount.bind) {
+      case 'replace':
+        union = [mount];
+        break;
+      case 'before':
+        union.unshift(mount);
+        break;
+      default:
+        union.push(mount);
+    }
+  }
+  
+  return union;
+}
+
+/**
+ * Get Worker Namespaces
+ * Maps the script path of each worker module declaring a namespace to
+ * that namespace. Modules sharing a script share the first one's. wasm
+ * modules cannot declare one, see validateWorkerModules
+ */
+function getWorkerNamespaces() {
+  return getCompiled('workerNamespaces', () => {
+    const namespaces = new Map();
+    
+    for (const module of kernelConfig.workers?.modules || []) {
+      const scriptPath = new URL(module.path, self.location.origin).pathname;
+      if (!module.namespace || namespaces.has(scriptPath)) continue;
+      
+      namespaces.set(scriptPath, {
+        module: module.name,
+        root: (module.namespace.root || '/').replace(/\/+$/, ''),
+        mounts: module.namespace.mounts || [],
+        hide: module.namespace.hide || []
+      });
+    }
+    
+    return namespaces;
+  });
+}
+
+/**
+ * Get Worker Scripts
+ * Script paths of every configured worker: modules, the pool script and
+ * the wasm host
+ */
+function getWorkerScripts() {
+  return getCompiled('workerScripts', () => {
+    const workers = kernelConfig.workers || {};
+    const scripts = (workers.modules || [])
+      .map(module => module.type === 'wasm' ? WASM_HOST_PATH : module.path);
+    if (workers.pool?.script) {
+      scripts.push(workers.pool.script);
+    }
+    
+    return new Set(scripts.map(script => new URL(script, self.location.origin).pathname));
+  });
+}
+
+/**
+ * Resolve Client Namespace
+ * Workers are recognised by their script URL. Returns null for pages and
+ * for configured workers without a namespace, and UNIDENTIFIED_WORKER
+ * for other workers. Clients that cannot be found (none sent the
+ * request) resolve to fallback
+ */
+async function resolveClientNamespace(clientId, fallback = null) {
+  const namespaces = getWorkerNamespaces();
+  if (namespaces.size === 0) return null;
+  if (!clientId) return fallback;
+  
+  const clientNamespaces = getClientNamespaces();
+  if (!clientNamespaces.has(clientId)) {
+    const client = await self.clients.get(clientId);
+    if (!client) return fallback;
+    
+    clientNamespaces.set(clientId, identifyClientNamespace(client, namespaces));
+    pruneClientNamespaces(clientNamespaces);
+  }
+  
+  return clientNamespaces.get(clientId);
+}
+
+/**
+ * Peek at a Client's Namespace
+ * Without waiting for the Clients API: undefined while the client is not
+ * yet identified
+ */
+function peekClientNamespace(clientId) {
+  if (getWorkerNamespaces().size === 0 || !clientId) return null;
+  return getClientNamespaces().get(clientId);
+}
+
+/**
+ * Get Client Namespaces
+ * Resolved namespaces by client id, for the running config
+ */
+function getClientNamespaces() {
+  return getCompiled('clientNamespaces', () => new Map());
+}
+
+/**
+ * Identify a Client's Namespace
+ * Dedicated and shared workers alike; blob: URLs have no script path
+ */
+function identifyClientNamespace(client, namespaces) {
+  if (client.type === 'window') return null;
+  
+  const url = new URL(client.url);
+  if (url.origin !== self.location.origin || !getWorkerScripts().has(url.pathname)) {
+    return UNIDENTIFIED_WORKER;
+  }
+  return namespaces.get(url.pathname) || null;
+}
+
+/**
+ * Identify Every Client
+ * So the fetch handler knows which clients are pages without asking the
+ * Clients API first
+ */
+async function identifyClients() {
+  const namespaces = getWorkerNamespaces();
+  if (namespaces.size === 0) return;
+  
+  const clientNamespaces = getClientNamespaces();
+  for (const client of await self.clients.matchAll({ includeUncontrolled: true, type: 'all' })) {
+    clientNamespaces.set(client.id, identifyClientNamespace(client, namespaces));
+  }
+}
+
+/**
+ * Forget Clients That Are Gone
+ */
+function pruneClientNamespaces(clientNamespaces) {
+  self.clients.matchAll({ includeUncontrolled: true, type: 'all' }).then((clients) => {
+    const live = new Set(clients.map(client => client.id));
+    for (const clientId of clientNamespaces.keys()) {
+      if (!live.has(clientId)) {
+        clientNamespaces.delete(clientId);
+      }
+    }
+  }).catch(() => {});
+}
+
+/**
+ * Route Worker Request
+ * Hidden paths are not found and the worker's own mounts come first.
+ * Every other path is resolved under the namespace root, except the
+ * worker runtime files, which modules import
+ */
+async function routeWorkerRequest(request, namespace) {
+  const url = new URL(request.url);
+  if (isHiddenPath(namespace.hide, url.pathname)) {
+    return new Response('File not found', { status: 404 });
+  }
+  
+  const union = findUnion(url.pathname, namespace.mounts);
+  if (union) {
+    return handleMountRequest(request, union, { hide: namespace.hide, root: '' });
+  }
+  
+  const root = WORKER_RUNTIME_PATHS.includes(url.pathname) ? '' : namespace.root;
+  if (root) {
+    url.pathname = root + url.pathname;
+    request = await retargetRequest(request, url);
+  }
+  
+  if (!shouldIntercept(request)) {
+    return fetch(request);
+  }
+  
+  return isOutboxRequest(request)
+    ? handleOutboxRequest(request)
+    : routeRequest(request, { hide: namespace.hide, root });
+}
+
+/**
+ * Is a Path in a Worker's View
+ * Under its root and not hidden
+ */
+function isInView(pathname, view) {
+  if (view.root && pathname !== view.root && !pathname.startsWith(view.root + '/')) {
+    return false;
+  }
+  return !isHiddenPath(view.hide, pathname.substring(view.root.length) || '/');
+}
+
+/**
+ * Is Hidden Path
+ * Hiding a directory hides everything under it
+ */
+function isHiddenPath(hide, path) {
+  return hide.some(pattern =>
+    matchPattern(path, pattern) || matchPattern(path, pattern.replace(/\/+$/, '') + '/*'));
+}
+
+/**
+ * Handle Route Request
+ * Routes are cached only when they declare a cache policy; transformed
+ * routes default to the kernel strategy so the transform only runs when
+ * the cached copy needs refreshing
+ */
+async function handleRouteRequest(request, route) {
+  if (route.cache || route.transform) {
+    return applyCachingStrategy(request, () => fetchRoute(request, route), route.cache);
+  }
+  
+  return fetchRoute(request, route);
+}
+
+/**
+ * Fetch Route File
+ */
+async function fetchRoute(request, route) {
+  try {
+    const fileUrl = new URL(route.file, self.location.origin);
+    let response = await fetchFile(await retargetRequest(request.clone(), fileUrl));
+    
+    // Pass the body through the route's transform worker
+    if (route.transform && response.ok) {
+      response = await transformResponse(request, route, response);
+    }
+    
+    // Apply custom headers if specified
+    if (route.headers) {
+      const headers = new Headers(response.headers);
+      for (const [key, value] of Object.entries(route.headers)) {
+        headers.set(key, value);
+      }
+      return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+      });
+    }
+    
+    return response;
+  } catch (error) {
+    // Rethrown so caching strategies can fall back to the cache
+    console.error('[Page9 Kernel] Route request failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Transform Response
+ * Service workers cannot spawn workers, so the kernel asks a window
+ * client to run the transform in its Page9 worker module
+ */
+async function transformResponse(request, route, response) {
+  const payload = {
+    transform: route.transform,
+    params: route.params,
+    body: await response.text(),
+    status: response.status,
+    headers: Object.fromEntries(response.headers),
+    request: {
+      url: request.url,
+      method: request.method,
+      headers: Object.fromEntries(request.headers)
+    }
+  };
+  
+  // Every tab is asked at once and the first answer wins, so tabs that
+  // do not run page9.js cost no more than the one shared deadline
+  const clients = await self.clients.matchAll({ type: 'window' });
+  const answer = await Promise.any(clients.map(client =>
+    requestFromClient(client, 'TRANSFORM', payload, TRANSFORM_TIMEOUT).then(
+      result => ({ result }),
+      error => {
+        console.warn(`[Page9 Kernel] Transform ${route.transform} failed on client ${client.id}:`, error);
+        throw error;
+      }
+    )
+  )).catch(() => null);
+  
+  if (answer) {
+    const result = typeof answer.result === 'string' ? { body: answer.result } : answer.result;
+    const headers = new Headers(payload.headers);
+    headers.delete('Content-Length');
+    for (const [key, value] of Object.entries(result.headers || {})) {
+      headers.set(key, value);
+    }
+    
+    return new Response(result.body, {
+      status: result.status || payload.status,
+      headers
+    });
+  }
+  
+  // No tab answered, e.g. on the first navigation in a new one
+  console.warn(`[Page9 Kernel] No client could run transform ${route.transform}, serving it untransformed`);
+  
+  const cached = await cacheLookup(request, resolveCachePolicy(route.cache)).catch(() => null);
+  if (cached) {
+    return markTransformFallback(cached, 'cached');
+  }
+  return markTransformFallback(new Response(payload.body, {
+    status: payload.status,
+    headers: payload.headers
+  }), 'unavailable');
+}
+
+/**
+ * Mark a Transform Fallback Response
+ */
+function markTransformFallback(response, kind) {
+  const headers = new Headers(response.headers);
+  headers.set(TRANSFORM_FALLBACK_HEADER, kind);
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+/**
+ * Request From Client
+ * Sends a control protocol request to a window client and waits for its reply
+ */
+function requestFromClient(client, type, payload, timeout) {
+  return new Promise((resolve, reject) => {
+    const messageChannel = new MessageChannel();
+    const id = ++clientRequestCount;
+    
+    const timer = setTimeout(() => {
+      messageChannel.port1.close();
+      reject(kernelError('Client timeout', 'TIMEOUT'));
+    }, timeout);
+    
+    messageChannel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      messageChannel.port1.close();
+      if (event.data.ok) {
+        resolve(event.data.result);
+      } else {
+        reject(kernelError(event.data.error.message, event.data.error.code));
+      }
+    };
+    
+    client.postMessage({ protocol: PROTOCOL_VERSION, id, type, payload }, [messageChannel.port2]);
+  });
+}
+
+/**
+ * Handle Mount Request (Plan9 namespace translation)
+ * Tries each member of the union in order and serves the first success.
+ * The first member with a cache policy decides how the union is cached.
+ * Writes go to the first store mount in the union
+ */
+async function handleMountRequest(request, union, view = null) {
+  const store = union.find(mount => mount.type === 'store');
+  if (store && STORE_WRITE_METHODS.includes(request.method)) {
+    const relativePath = new URL(request.url).pathname.substring(union[0].path.length);
+    return writeStoreFile(request, store, relativePath);
+  }
+  
+  // Listings are built per request and never cached
+  if (isDirectoryRequest(request, union)) {
+    return serveDirectory(request, union, view);
+  }
+  
+  // Synthetic, store and snapshot files are local to the kernel and never cached
+  const cached = union.find(mount => mount.cache && !isKernelMount(mount));
+  if (cached) {
+    return applyCachingStrategy(request, () => fetchFromUnion(request, union), cached.cache);
+  }
+  
+  return fetchFromUnion(request, union);
+}
+
+/**
+ * Fetch From Union
+ */
+async function fetchFromUnion(request, union) {
+  const url = new URL(request.url);
+  const relativePath = url.pathname.substring(union[0].path.length);
+  let lastResponse = null;
+  let lastError = null;
+  
+  for (const mount of union) {
+    try {
+      const response = await fetchFromMount(request, mount, relativePath);
+      if (response.ok) {
+        return response;
+      }
+      lastResponse = response;
+    } catch (error) {
+      console.warn('[Page9 Kernel] Mount target failed:', mount.target, error);
+      lastError = error;
+    }
+  }
+  
+  if (lastResponse) {
+    return lastResponse;
+  }
+  
+  // Every member failed to fetch; let caching strategies fall back
+  console.error('[Page9 Kernel] Mount request failed:', url.pathname);
+  throw lastError;
+}
+
+/**
+ * Fetch From Mount
+ * Translates a path relative to the mount point into its target
+ */
+async function fetchFromMount(request, mount, relativePath) {
+  if (mount.type === 'synthetic') {
+    return serveSyntheticFile(mount.target + relativePath);
+  }
+  
+  if (mount.type === 'store') {
+    return readStoreFile(request, mount, relativePath);
+  }
+  
+  if (mount.type === '9p') {
+    return fetchRemoteFile(request, mount, relativePath);
+  }
+  
+  if (mount.type === 'snapshot') {
+    return readSnapshotFile(request, mount, relativePath);
+  }
+  
+  // Union members each get a copy of the body
+  const targetUrl = new URL(mount.target + relativePath, self.location.origin);
+  return fetchFile(await retargetRequest(request.clone(), targetUrl));
+}
+
+/**
+ * Is Directory Request
+ * A path ending in "/", or the bare mount point of a directory mount
+ */
+function isDirectoryRequest(request, union) {
+  if (!['GET', 'HEAD'].includes(request.method)) return false;
+  if (union.every(mount => mount.type === 'file')) return false;
+  
+  const pathname = new URL(request.url).pathname;
+  return pathname.endsWith('/') || pathname === union[0].path;
+}
+
+/**
+ * Serve Directory
+ * An index file shipped by the host is served as it would be without the
+ * mount, unless the client asks for a listing with Accept:
+ * application/json. Otherwise the union of every member's entries is
+ * listed, as an HTML index when the client accepts text/html and as JSON
+ * otherwise
+ */
+async function serveDirectory(request, union, view = null) {
+  const pathname = new URL(request.url).pathname;
+  const dirPath = pathname.endsWith('/') ? pathname : pathname + '/';
+  const relativePath = dirPath.substring(union[0].path.length);
+  const accept = request.headers.get('Accept') || '';
+  const html = accept.includes('text/html');
+  
+  if (!accept.includes('application/json')) {
+    for (const mount of union.filter(mount => mount.type === 'dir')) {
+      try {
+        const response = await fetchFromMount(request, mount, relativePath);
+        if (response.ok) return response;
+      } catch (error) {
+        console.warn('[Page9 Kernel] Index page fetch failed:', mount.target, error);
+      }
+    }
+  }
+  
+  let entries = await listUnion(union, relativePath, dirPath);
+  if (!entries) {
+    return new Response('Directory not found', { status: 404 });
+  }
+  
+  // A namespaced worker sees paths without its root and no hidden entries
+  const viewPath = view ? dirPath.substring(view.root.length) : dirPath;
+  if (view) {
+    entries = entries.filter(entry => !isHiddenPath(view.hide, viewPath + entry.name));
+  }
+  
+  if (html) {
+    return new Response(renderDirectoryListing(viewPath, entries), {
+      headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+  
+  return syntheticResponse({ path: viewPath, entries });
+}
+
+/**
+ * List Union Directory
+ * Entries from earlier members shadow same-named entries from later ones.
+ * Returns null when no member has the directory
+ */
+async function listUnion(union, relativePath, dirPath) {
+  const entries = new Map();
+  let found = false;
+  
+  for (const mount of union) {
+    let listing = null;
+    try {
+      listing = await listMount(mount, relativePath, dirPath);
+    } catch (error) {
+      console.warn('[Page9 Kernel] Directory listing failed:', mount.target, error);
+    }
+    
+    if (!listing) continue;
+    found = true;
+    
+    for (const entry of listing) {
+      if (!entries.has(entry.name)) {
+        entries.set(entry.name, entry);
+      }
+    }
+  }
+  
+  if (!found) return null;
+  return Array.from(entries.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * List Mount Directory
+ * Returns entries of the form { name, type: 'file' | 'dir', size?,
+ * modified?, contentType? }, or null when the directory does not exist
+ */
+async function listMount(mount, relativePath, dirPath) {
+  switch (mount.type) {
+    case 'synthetic':
+      return listSyntheticDirectory(mount.target + relativePath);
+    case 'store':
+      return listStoreDirectory(mount.target, storePath(relativePath));
+    case '9p':
+      return listRemoteDirectory(mount, relativePath);
+    case 'snapshot':
+      return listSnapshotDirectory(mount, relativePath);
+    case 'dir':
+      return await fetchDirectoryIndex(mount, relativePath) ||
+        await listManifestDirectory(mount.target + relativePath) ||
+        await listCachedDirectory(dirPath);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Fetch Directory Index
+ * Sites list a directory by shipping a page9-index.json inside it, either an
+ * array of entries or names ("sub/" for directories), or { entries }
+ */
+async function fetchDirectoryIndex(mount, relativePath) {
+  const prefix = relativePath && !relativePath.endsWith('/') ? relativePath + '/' : relativePath;
+  const targetUrl = new URL(mount.target + prefix + DIRECTORY_INDEX_FILE, self.location.origin);
+  const response = await fetch(targetUrl);
+  if (!response.ok) return null;
+  
+  const index = await response.json();
+  const items = Array.isArray(index) ? index : index.entries || [];
+  
+  return items.map(item => {
+    if (typeof item === 'string') {
+      return item.endsWith('/')
+        ? { name: item.slice(0, -1), type: 'dir' }
+        : { name: item, type: 'file' };
+    }
+    return { ...item, type: item.type || 'file' };
+  });
+}
+
+/**
+ * Load Site Manifest
+ * page9-manifest.json is written by `node page9-cli.js manifest`.
+ * Resolves with null when the site does not ship one
+ */
+function loadSiteManifest() {
+  if (!siteManifest) {
+    siteManifest = fetch(MANIFEST_PATH, { cache: 'no-cache' })
+      .then(response => response.ok ? response.json() : null)
+      .catch(error => {
+        console.warn('[Page9 Kernel] Failed to load manifest:', error);
+        return null;
+      });
+  }
+  
+  return siteManifest;
+}
+
+/**
+ * List Manifest Directory
+ * Lists a host directory from the files recorded in the site manifest
+ */
+async function listManifestDirectory(targetPath) {
+  const manifest = await loadSiteManifest();
+  if (!manifest) return null;
+  
+  const prefix = targetPath.endsWith('/') ? targetPath : targetPath + '/';
+  const entries = childEntries(Object.keys(manifest.files), prefix);
+  if (entries.length === 0) return null;
+  
+  return entries.map(entry => {
+    const file = manifest.files[prefix + entry.name];
+    if (entry.type !== 'file' || !file) return entry;
+    return { ...entry, size: file.size, contentType: file.type };
+  });
+}
+
+/**
+ * List Cached Directory
+ * Without a shipped index the kernel knows only the files it has cached
+ */
+async function listCachedDirectory(dirPath) {
+  const paths = [];
+  for (const name of await getKernelCacheNames()) {
+    const cache = await caches.open(name);
+    for (const request of await cache.keys()) {
+      const url = new URL(request.url);
+      if (url.origin === self.location.origin) {
+        paths.push(url.pathname);
+      }
+    }
+  }
+  
+  const entries = childEntries(paths, dirPath);
+  return entries.length > 0 ? entries : null;
+}
+
+/**
+ * List Store Directory
+ * The root of a store always exists, even when empty
+ */
+async function listStoreDirectory(storeName, dirPath) {
+  const prefix = dirPath.endsWith('/') ? dirPath : dirPath + '/';
+  const files = await getStoreFiles(storeName, prefix);
+  const details = new Map(files.map(file => [file.path, file]));
+  const entries = childEntries(files.map(file => file.path), prefix);
+  
+  if (entries.length === 0 && prefix !== '/') return null;
+  
+  return entries.map(entry => {
+    const file = details.get(prefix + entry.name);
+    if (entry.type !== 'file' || !file) return entry;
+    return {
+      ...entry,
+      size: file.size,
+      modified: new Date(file.modified).toISOString(),
+      contentType: file.type
+    };
+  });
+}
+
+/**
+ * List Synthetic Directory
+ */
+function listSyntheticDirectory(path) {
+  const prefix = path.endsWith('/') ? path : path + '/';
+  const entries = childEntries(Object.keys(SYNTHETIC_FILES), prefix);
+  return entries.length > 0 ? entries : null;
+}
+
+/**
+ * Child Entries
+ * The immediate children of a directory among a list of file paths
+ */
+function childEntries(paths, prefix) {
+  const entries = new Map();
+  
+  for (const path of paths) {
+    if (!path.startsWith(prefix) || path.length === prefix.length) continue;
+    
+    const rest = path.substring(prefix.length);
+    const name = rest.split('/')[0];
+    if (!entries.has(name)) {
+      entries.set(name, { name, type: rest.includes('/') ? 'dir' : 'file' });
+    }
+  }
+  
+  return Array.from(entries.values());
+}
+
+/**
+ * Render Directory Listing as HTML
+ */
+function renderDirectoryListing(dirPath, entries) {
+  const escape = value => String(value).replace(/[&<>"]/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'
+  })[char]);
+  
+  const rows = entries.map(entry => {
+    const name = entry.type === 'dir' ? entry.name + '/' : entry.name;
+    return `<tr><td><a href="${escape(dirPath + name)}">${escape(name)}</a></td>` +
+      `<td>${entry.size ?? ''}</td><td>${escape(entry.modified || '')}</td></tr>`;
+  });
+  
+  if (dirPath !== '/') {
+    rows.unshift('<tr><td><a href="../">../</a></td><td></td><td></td></tr>');
+  }
+  
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Index of ${escape(dirPath)}</title></head>
+<body>
+<h1>Index of ${escape(dirPath)}</h1>
+<table>
+<tr><th>Name</th><th>Size</th><th>Modified</th></tr>
+${rows.join('\n')}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Serve 9P on a MessagePort
+ * Each connection has its own fids. Paths resolve through the usual
+ * routing and mounts, or through a worker module's namespace
+ */
+function serveNineP(port, namespace) {
+  const conn = { namespace, msize: NINEP_MSIZE, fids: new Map() };
+  
+  port.onmessage = async (event) => {
+    const message = event.data || {};
+    const operation = NINEP_OPERATIONS[message.type];
+    let reply;
+    
+    try {
+      if (!operation) {
+        throw new Error(`unknown message type: ${message.type}`);
+      }
+      reply = { ...await operation(conn, message), type: 'R' + message.type.substring(1) };
+    } catch (error) {
+      reply = { type: 'Rerror', ename: error.message };
+    }
+    
+    // Read data is a copy, so its buffer can be moved
+    port.postMessage({ ...reply, tag: message.tag }, reply.data ? [reply.data.buffer] : []);
+  };
+}
+
+/**
+ * 9P Operations
+ * Handlers for T-messages; thrown errors become Rerror replies
+ */
+const NINEP_OPERATIONS = {
+  Tversion: async (conn, { msize, version }) => {
+    conn.fids.clear();
+    conn.msize = Math.min(msize || NINEP_MSIZE, NINEP_MSIZE);
+    return { msize: conn.msize, version: version === NINEP_VERSION ? NINEP_VERSION : 'unknown' };
+  },
+  
+  Tattach: async (conn, { fid, aname }) => {
+    if (conn.fids.has(fid)) {
+      throw new Error('fid already in use');
+    }
+    
+    const names = String(aname || '').split('/').filter(Boolean);
+    if (names.some(name => name === '.' || name === '..')) {
+      throw new Error(`bad attach name: ${aname}`);
+    }
+    
+    const root = '/' + names.join('/');
+    const file = await statNinePPath(conn, root);
+    if (file.qid.type !== 'dir') {
+      throw new Error('not a directory');
+    }
+    
+    conn.fids.set(fid, { ...file, root });
+    return { qid: file.qid };
+  },
+  
+  // Like 9P, a walk that fails after its first name answers the qids it
+  // managed and leaves newfid unused
+  Twalk: async (conn, { fid, newfid, wnames = [] }) => {
+    const file = getNinePFid(conn, fid);
+    if (file.open) {
+      throw new Error('cannot walk an open fid');
+    }
+    if (newfid !== fid && conn.fids.has(newfid)) {
+      throw new Error('fid already in use');
+    }
+    
+    let current = file;
+    const wqids = [];
+    for (const name of wnames) {
+      try {
+        if (current.qid.type !== 'dir') {
+          throw new Error('walk in non-directory');
+        }
+        const listed = name === '..' ? null : current.entries?.find(entry => entry.name === name);
+        current = await statNinePPath(conn, ninePChildPath(current, name), listed);
+      } catch (error) {
+        if (wqids.length === 0) throw error;
+        break;
+      }
+      wqids.push(current.qid);
+    }
+    
+    if (wqids.length === wnames.length) {
+      conn.fids.set(newfid, { ...current, root: file.root });
+    }
+    return { wqids };
+  },
+  
+  Topen: async (conn, { fid, mode = NinePClient.OREAD }) => {
+    const file = getNinePFid(conn, fid);
+    if (file.open) {
+      throw new Error('file already open');
+    }
+    
+    const access = mode & 3;
+    if (file.qid.type === 'dir') {
+      if (access !== NinePClient.OREAD) {
+        throw new Error('is a directory');
+      }
+      file.entries = (await statNinePPath(conn, file.path)).entries;
+    } else if (mode & NinePClient.OTRUNC) {
+      file.data = new Uint8Array(0);
+      file.dirty = true;
+    } else {
+      const response = await ninePFetch(conn, file.path);
+      if (!response.ok) {
+        throw new Error('file does not exist');
+      }
+      file.data = new Uint8Array(await response.arrayBuffer());
+    }
+    
+    file.open = true;
+    file.mode = access;
+    return { qid: file.qid, iounit: conn.msize };
+  },
+  
+  Tread: async (conn, { fid, offset = 0, count = conn.msize }) => {
+    const file = getNinePFid(conn, fid);
+    if (!file.open || file.mode === NinePClient.OWRITE) {
+      throw new Error('file not open for reading');
+    }
+    
+    if (file.qid.type === 'dir') {
+      return { entries: file.entries.slice(offset, offset + count).map(entry => ninePStat(file.path, entry)) };
+    }
+    
+    return { data: file.data.slice(offset, offset + Math.min(count, conn.msize)) };
+  },
+  
+  Twrite: async (conn, { fid, offset = 0, data }) => {
+    const file = getNinePFid(conn, fid);
+    if (!file.open || file.mode === NinePClient.OREAD) {
+      throw new Error('file not open for writing');
+    }
+    
+    const bytes = new Uint8Array(data);
+    if (offset + bytes.length > file.data.length) {
+      const grown = new Uint8Array(offset + bytes.length);
+      grown.set(file.data);
+      file.data = grown;
+    }
+    file.data.set(bytes, offset);
+    file.dirty = true;
+    
+    return { count: bytes.length };
+  },
+  
+  Tstat: async (conn, { fid }) => {
+    const file = getNinePFid(conn, fid);
+    return { stat: file.stat };
+  },
+  
+  // Written files are saved when clunked, with one PUT
+  Tclunk: async (conn, { fid }) => {
+    const file = getNinePFid(conn, fid);
+    conn.fids.delete(fid);
+    
+    if (file.dirty) {
+      const response = await ninePFetch(conn, file.path, {
+        method: 'PUT',
+        headers: { 'Content-Type': file.stat.contentType || guessContentType(file.path) },
+        body: file.data
+      });
+      if (!response.ok) {
+        throw new Error(`write failed: ${response.status} ${response.statusText}`.trim());
+      }
+    }
+    
+    return {};
+  }
+};
+
+/**
+ * Get an Open 9P Fid
+ */
+function getNinePFid(conn, fid) {
+  const file = conn.fids.get(fid);
+  if (!file) {
+    throw new Error('fid unknown or out of use');
+  }
+  return file;
+}
+
+/**
+ * Child Path for a Walk
+ * ".." never leaves the attached root
+ */
+function ninePChildPath(file, name) {
+  if (name === '..') {
+    if (file.path === file.root) return file.path;
+    return file.path.substring(0, file.path.lastIndexOf('/')) || '/';
+  }
+  
+  if (!name || name === '.' || name.includes('/')) {
+    throw new Error(`bad path element: ${name}`);
+  }
+  
+  return file.path === '/' ? '/' + name : `${file.path}/${name}`;
+}
+
+/**
+ * Stat a Path for 9P
+ * A path is a directory when it lists (see Directory Listings) or has
+ * mount points or site files under it, and a file when it can be read.
+ * Walks pass the entry the parent directory listed, so listed files are
+ * not fetched; other files are fetched without reading their body
+ */
+async function statNinePPath(conn, path, entry = null) {
+  if (entry?.type === 'file') {
+    return ninePFileStat(path, entry, entry.modified || '');
+  }
+  
+  const dirPath = path === '/' ? '/' : path + '/';
+  const entries = await listNinePDirectory(conn, dirPath);
+  if (entries) {
+    const name = path.substring(path.lastIndexOf('/') + 1) || '/';
+    const qid = { type: 'dir', path, version: '' };
+    return { path, qid, entries, stat: { name, type: 'dir', size: 0, qid } };
+  }
+  
+  const response = await ninePFetch(conn, path);
+  response.body?.cancel().catch(() => {});
+  if (!response.ok) {
+    throw new Error('file does not exist');
+  }
+  
+  const modified = response.headers.get('Last-Modified');
+  return ninePFileStat(path, {
+    size: Number(response.headers.get('Content-Length')) || 0,
+    modified: modified ? new Date(modified).toISOString() : undefined,
+    contentType: response.headers.get('Content-Type') || undefined
+  }, response.headers.get('ETag') || modified || '');
+}
+
+/**
+ * Stat a File for 9P
+ * Sizes the kernel cannot know without reading the file are 0, like
+ * Plan9's synthetic files
+ */
+function ninePFileStat(path, { size, modified, contentType }, version) {
+  const qid = { type: 'file', path, version };
+  
+  return {
+    path,
+    qid,
+    stat: {
+      name: path.substring(path.lastIndexOf('/') + 1),
+      type: 'file',
+      size: size ?? 0,
+      modified,
+      contentType,
+      qid
+    }
+  };
+}
+
+/**
+ * List a Directory for 9P
+ * Uses the directory listing, else the mount points and site manifest
+ * files under the path. Returns null for paths that are not directories
+ */
+async function listNinePDirectory(conn, dirPath) {
+  const response = await ninePFetch(conn, dirPath, { headers: { Accept: 'application/json' } });
+  if (response.ok && (response.headers.get('Content-Type') || '').includes('application/json')) {
+    const listing = await response.json().catch(() => null);
+    if (Array.isArray(listing?.entries)) {
+      return listing.entries;
+    }
+  }
+  
+  // Mount points and manifest files as the connection sees them
+  const namespace = conn.namespace;
+  const root = namespace?.root || '';
+  const paths = (namespace?.mounts || []).map(mount => mount.path + '/');
+  const manifest = await loadSiteManifest();
+  
+  for (const path of [
+    ...(kernelConfig.namespace?.mounts || []).map(mount => mount.path + '/'),
+    ...Object.keys(manifest?.files || {})
+  ]) {
+    if (path.startsWith(root + '/')) {
+      paths.push(path.substring(root.length));
+    }
+  }
+  
+  const entries = childEntries(paths, dirPath)
+    .filter(entry => !namespace || !isHiddenPath(namespace.hide, dirPath + entry.name));
+  return entries.length > 0 || dirPath === '/' ? entries : null;
+}
+
+/**
+ * Stat a Listing Entry for 9P
+ */
+function ninePStat(dirPath, entry) {
+  const path = dirPath === '/' ? '/' + entry.name : `${dirPath}/${entry.name}`;
+  return { ...entry, size: entry.size ?? 0, qid: { type: entry.type, path, version: '' } };
+}
+
+/**
+ * Fetch a Path for 9P
+ * As the connection's namespace sees it
+ */
+async function ninePFetch(conn, path, init = {}) {
+  const url = new URL(path.split('/').map(encodeURIComponent).join('/'), self.location.origin);
+  const request = new Request(url, init);
+  
+  return conn.namespace ? routeWorkerRequest(request, conn.namespace) : routeRequest(request);
+}
+
+/**
+ * Get a 9P Client for a Remote Server
+ * Connections are shared by every 9p mount of the server and dropped
+ * when they close
+ */
+function getRemoteClient(url) {
+  if (!remoteClients.has(url)) {
+    const connecting = NinePClient.connect(url).then(async (client) => {
+      client.onclose = () => remoteClients.delete(url);
+      await client.version();
+      await client.attach('/');
+      return client;
+    });
+    
+    connecting.catch(() => remoteClients.delete(url));
+    remoteClients.set(url, connecting);
+  }
+  
+  return remoteClients.get(url);
+}
+
+/**
+ * Fetch a File From a 9p Mount
+ * Read-only over HTTP. Files the server cannot read are not found; a
+ * failed connection is a network error
+ */
+async function fetchRemoteFile(request, mount, relativePath) {
+  if (!['GET', 'HEAD'].includes(request.method)) {
+    return new Response('9p mounts are read-only', { status: 405, headers: { Allow: 'GET, HEAD' } });
+  }
+  
+  const client = await getRemoteClient(mount.target);
+  
+  let data;
+  try {
+    data = await client.readFile(relativePath);
+  } catch (error) {
+    if (error.code !== 'NINEP_ERROR') throw error;
+    return new Response('File not found', { status: 404 });
+  }
+  
+  return new Response(request.method === 'HEAD' ? null : data, {
+    headers: {
+      'Content-Type': guessContentType(relativePath),
+      'Content-Length': String(data.length)
+    }
+  });
+}
+
+/**
+ * List a 9p Mount Directory
+ */
+async function listRemoteDirectory(mount, relativePath) {
+  const client = await getRemoteClient(mount.target);
+  
+  try {
+    const entries = await client.list(relativePath);
+    return entries.map(({ qid, ...entry }) => entry);
+  } catch (error) {
+    if (error.code !== 'NINEP_ERROR') throw error;
+    return null;
+  }
+}
+
+/**
+ * Synthetic Files (Plan9 /dev and /proc style)
+ * Generated by the kernel on every read
+ */
+const SYNTHETIC_FILES = {
+  '/dev/kernel/status': async () => ({
+    version: KERNEL_VERSION,
+    active: true,
+    started: new Date(KERNEL_STARTED).toISOString(),
+    uptime: Date.now() - KERNEL_STARTED,
+    config: kernelConfig
+  }),
+  '/dev/config': async () => kernelConfig,
+  '/dev/outbox': async () => listOutbox(),
+  '/dev/snapshots': async () => listSnapshots(),
+  '/dev/time': async () => {
+    const now = Date.now();
+    return { epoch: now, iso: new Date(now).toISOString() };
+  },
+  '/proc/cache': async () => {
+    const urls = [];
+    for (const name of await getKernelCacheNames()) {
+      const cache = await caches.open(name);
+      const requests = await cache.keys();
+      urls.push(...requests.map(request => request.url));
+    }
+    return urls;
+  }
+};
+
+/**
+ * Serve Synthetic File
+ * Directories list their immediate children, like ls
+ */
+async function serveSyntheticFile(path) {
+  const filePath = path.length > 1 ? path.replace(/\/+$/, '') : path;
+  const generator = SYNTHETIC_FILES[filePath];
+  
+  if (generator) {
+    return syntheticResponse(await generator());
+  }
+  
+  const entries = listSyntheticDirectory(filePath);
+  if (entries) {
+    return syntheticResponse({ path: filePath === '/' ? '/' : filePath + '/', entries });
+  }
+  
+  return new Response('File not found', { status: 404 });
+}
+
+/**
+ * Synthetic Response
+ */
+function syntheticResponse(data) {
+  return new Response(JSON.stringify(data, null, 2), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * Is Kernel Mount
+ * Synthetic, store and snapshot mounts are served by the kernel, not the host
+ */
+function isKernelMount(mount) {
+  return ['synthetic', 'store', 'snapshot'].includes(mount.type);
+}
+
+/**
+ * Store Path
+ * Files in a store are keyed by their path relative to the mount point
+ */
+function storePath(relativePath) {
+  return relativePath.startsWith('/') ? relativePath : '/' + relativePath;
+}
+
+/**
+ * Read Store File
+ * Serves a file written to an IndexedDB store mount, honouring
+ * If-None-Match and If-Modified-Since
+ */
+async function readStoreFile(request, mount, relativePath) {
+  const file = await getStoreFile(mount.target, storePath(relativePath));
+  if (!file) {
+    return new Response('File not found', { status: 404 });
+  }
+  
+  const headers = storeFileHeaders(file);
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  const ifModifiedSince = request.headers.get('If-Modified-Since');
+  
+  const notModified = ifNoneMatch
+    ? matchesEtag(ifNoneMatch, file)
+    : ifModifiedSince && Math.floor(file.modified / 1000) <= Date.parse(ifModifiedSince) / 1000;
+  
+  if (notModified) {
+    return new Response(null, { status: 304, headers });
+  }
+  
+  return new Response(request.method === 'HEAD' ? null : file.body, { headers });
+}
+
+/**
+ * Write Store File
+ * PUT creates or replaces a file, POST to a directory creates a file with
+ * a generated name (POST to a file acts like PUT), DELETE removes it.
+ * If-Match and If-None-Match: * make writes conditional
+ */
+async function writeStoreFile(request, mount, relativePath) {
+  let path = storePath(relativePath);
+  
+  if (request.method === 'POST' && path.endsWith('/')) {
+    path += crypto.randomUUID();
+  }
+  
+  if (path.endsWith('/')) {
+    return new Response('Cannot write a directory', { status: 405 });
+  }
+  
+  const existing = await getStoreFile(mount.target, path);
+  const ifMatch = request.headers.get('If-Match');
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  
+  if ((ifMatch && !matchesEtag(ifMatch, existing)) || (ifNoneMatch && matchesEtag(ifNoneMatch, existing))) {
+    return new Response('Precondition failed', { status: 412 });
+  }
+  
+  if (request.method === 'DELETE') {
+    if (!existing) {
+      return new Response('File not found', { status: 404 });
+    }
+    
+    await deleteStoreFile(mount.target, path);
+    broadcastEvent('store-changed', { store: mount.target, path, action: 'delete' });
+    return new Response(null, { status: 204 });
+  }
+  
+  const body = await request.arrayBuffer();
+  const file = {
+    store: mount.target,
+    path,
+    body,
+    type: request.headers.get('Content-Type') || guessContentType(path),
+    size: body.byteLength,
+    etag: await computeEtag(body),
+    modified: Date.now()
+  };
+  
+  await putStoreFile(file);
+  broadcastEvent('store-changed', { store: mount.target, path, action: existing ? 'replace' : 'create' });
+  
+  const headers = storeFileHeaders(file);
+  headers.delete('Content-Length');
+  headers.set('Location', mount.path.replace(/\/+$/, '') + path);
+  return new Response(null, { status: existing ? 204 : 201, headers });
+}
+
+/**
+ * Match an If-Match / If-None-Match Header
+ * "*" matches any existing file
+ */
+function matchesEtag(header, file) {
+  if (!file) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').map(tag => tag.trim()).includes(file.etag);
+}
+
+/**
+ * Store File Headers
+ */
+function storeFileHeaders(file) {
+  return new Headers({
+    'Content-Type': file.type,
+    'Content-Length': String(file.size),
+    'ETag': file.etag,
+    'Last-Modified': new Date(file.modified).toUTCString(),
+    'Cache-Control': 'no-cache'
+  });
+}
+
+/**
+ * Compute Strong ETag
+ */
+async function computeEtag(body) {
+  const hex = await sha256Hex(body);
+  return `"${hex.substring(0, 32)}"`;
+}
+
+/**
+ * Create Snapshot (Plan9 Fossil style)
+ * Records the cached and stored namespace: the precache, then the runtime
+ * caches, then store mounts, later sources replacing earlier ones. Paths
+ * map to the SHA-256 of their bodies, and each body is kept once in the
+ * block store however many snapshots share it
+ */
+function createSnapshot(name) {
+  return runSnapshotTask(async () => {
+    name = name || await defaultSnapshotName();
+    if (!SNAPSHOT_NAME_PATTERN.test(name)) {
+      throw kernelError(`Invalid snapshot name: ${name}`, 'INVALID_REQUEST');
+    }
+    if (await getSnapshot(name)) {
+      throw kernelError(`Snapshot ${name} already exists`, 'INVALID_REQUEST');
+    }
+    
+    const snapshot = { name, created: Date.now(), files: {} };
+    const addFile = async (path, body, type, modified) => {
+      const hash = await putBlock(body);
+      snapshot.files[path] = { hash, size: body.byteLength, type, modified };
+    };
+    
+    const cacheNames = await getKernelCacheNames();
+    const precache = await getPrecacheState();
+    if (precache?.cache) {
+      cacheNames.unshift(precache.cache);
+    }
+    
+    for (const cacheName of cacheNames) {
+      const cache = await caches.open(cacheName);
+      for (const request of await cache.keys()) {
+        const url = new URL(request.url);
+        if (url.origin !== self.location.origin || url.search || url.pathname.endsWith('/')) continue;
+        
+        const response = await cache.match(request);
+        if (response?.status !== 200) continue;
+        
+        const type = response.headers.get('Content-Type') || guessContentType(url.pathname);
+        const modified = Date.parse(response.headers.get('Last-Modified')) || snapshot.created;
+        await addFile(url.pathname, await response.arrayBuffer(), type, modified);
+      }
+    }
+    
+    const storeMounts = (kernelConfig.namespace?.mounts || []).filter(mount => mount.type === 'store');
+    for (const mount of storeMounts) {
+      const mountPath = mount.path.replace(/\/+$/, '');
+      for (const file of await getStoreFiles(mount.target, '/')) {
+        await addFile(mountPath + file.path, file.body, file.type, file.modified);
+      }
+    }
+    
+    await dbTransaction('snapshots', 'readwrite', store => store.put(snapshot));
+    return summarizeSnapshot(snapshot);
+  });
+}
+
+/**
+ * Delete Snapshot
+ * Its blocks stay until the next garbage collection
+ */
+function deleteSnapshot(name) {
+  return runSnapshotTask(async () => {
+    if (!await getSnapshot(name)) {
+      throw kernelError(`No snapshot named ${name}`, 'INVALID_REQUEST');
+    }
+    
+    await dbTransaction('snapshots', 'readwrite', store => store.delete(name));
+  });
+}
+
+/**
+ * Collect Garbage
+ * Deletes the blocks no snapshot references
+ */
+function collectBlocks() {
+  return runSnapshotTask(async () => {
+    const referenced = new Set();
+    for (const snapshot of await getSnapshots()) {
+      Object.values(snapshot.files).forEach(file => referenced.add(file.hash));
+    }
+    
+    const hashes = await dbTransaction('blocks', 'readonly', store => store.getAllKeys());
+    const unreferenced = hashes.filter(hash => !referenced.has(hash));
+    await dbTransaction('blocks', 'readwrite', store => {
+      unreferenced.forEach(hash => store.delete(hash));
+    });
+    
+    return { collected: unreferenced.length, kept: hashes.length - unreferenced.length };
+  });
+}
+
+/**
+ * Run a Snapshot Task
+ * Snapshots and collections run one at a time, so a collection cannot
+ * delete the blocks of a snapshot still being written
+ */
+function runSnapshotTask(task) {
+  const run = snapshotTasks.then(task);
+  snapshotTasks = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Default Snapshot Name
+ * Today's date, with a sequence number after the first of the day
+ */
+async function defaultSnapshotName() {
+  const date = new Date().toISOString().substring(0, 10);
+  let name = date;
+  for (let sequence = 1; await getSnapshot(name); sequence++) {
+    name = `${date}.${sequence}`;
+  }
+  return name;
+}
+
+/**
+ * List Snapshots
+ * Oldest first, without their file maps
+ */
+async function listSnapshots() {
+  const snapshots = await getSnapshots();
+  return snapshots
+    .sort((a, b) => a.created - b.created)
+    .map(summarizeSnapshot);
+}
+
+/**
+ * Summarize Snapshot
+ */
+function summarizeSnapshot(snapshot) {
+  const files = Object.values(snapshot.files);
+  return {
+    name: snapshot.name,
+    created: new Date(snapshot.created).toISOString(),
+    files: files.length,
+    size: files.reduce((total, file) => total + file.size, 0)
+  };
+}
+
+/**
+ * Resolve Snapshot Path
+ * A mount targets one snapshot, or "*" for a directory of every snapshot
+ */
+function resolveSnapshotPath(mount, relativePath) {
+  const path = storePath(relativePath);
+  if (mount.target !== '*') {
+    return { name: mount.target, path };
+  }
+  
+  const [, name, ...rest] = path.split('/');
+  return { name, path: '/' + rest.join('/') };
+}
+
+/**
+ * Read Snapshot File
+ * Snapshots are read-only
+ */
+async function readSnapshotFile(request, mount, relativePath) {
+  if (!['GET', 'HEAD'].includes(request.method)) {
+    return new Response('Snapshots are read-only', { status: 405, headers: { Allow: 'GET, HEAD' } });
+  }
+  
+  const { name, path } = resolveSnapshotPath(mount, relativePath);
+  const snapshot = name && await getSnapshot(name);
+  const file = snapshot?.files[path];
+  const block = file && await getBlock(file.hash);
+  if (!block) {
+    return new Response('File not found', { status: 404 });
+  }
+  
+  const etag = `"${file.hash.substring(0, 32)}"`;
+  const headers = storeFileHeaders({ ...file, etag });
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch && matchesEtag(ifNoneMatch, { etag })) {
+    return new Response(null, { status: 304, headers });
+  }
+  
+  return new Response(request.method === 'HEAD' ? null : block.body, { headers });
+}
+
+/**
+ * List Snapshot Directory
+ * The root of a "*" mount lists the snapshots as directories
+ */
+async function listSnapshotDirectory(mount, relativePath) {
+  const { name, path } = resolveSnapshotPath(mount, relativePath);
+  if (!name) {
+    const snapshots = await listSnapshots();
+    return snapshots.map(snapshot => ({ name: snapshot.name, type: 'dir', modified: snapshot.created }));
+  }
+  
+  const snapshot = await getSnapshot(name);
+  if (!snapshot) return null;
+  
+  const prefix = path.endsWith('/') ? path : path + '/';
+  const entries = childEntries(Object.keys(snapshot.files), prefix);
+  if (entries.length === 0 && prefix !== '/') return null;
+  
+  return entries.map(entry => {
+    const file = snapshot.files[prefix + entry.name];
+    if (entry.type !== 'file' || !file) return entry;
+    return {
+      ...entry,
+      size: file.size,
+      modified: new Date(file.modified).toISOString(),
+      contentType: file.type
+    };
+  });
+}
+
+/**
+ * Handle Default Request with Caching Strategy
+ */
+async function handleDefaultRequest(request) {
+  const pathname = new URL(request.url).pathname;
+  return applyCachingStrategy(request, fetchFile, findCacheRule(pathname));
+}
+
+/**
+ * Fetch a Host File
+ * Precached files are served from the precache, everything else from
+ * the network
+ */
+async function fetchFile(request) {
+  if (request.method === 'GET') {
+    const state = await getPrecacheState();
+    if (state?.cache) {
+      const cache = await caches.open(state.cache);
+      const cached = await cache.match(request.url);
+      if (cached) return cached;
+    }
+  }
+  
+  return fetch(request);
+}
+
+/**
+ * Resolve Precache Assets
+ * kernel.precache lists assets as paths or { url, revision }, and with
+ * "manifest": true adds every file in the site manifest. Manifest files
+ * are revisioned by their content hash, which is also checked on download.
+ * Assets without a revision are downloaded on every install
+ */
+function resolvePrecacheAssets(precache, manifest) {
+  const assets = new Map();
+  const files = manifest?.files || {};
+  const excluded = precache.exclude || [];
+  
+  const add = (url, revision = null) => {
+    if (excluded.some(pattern => matchPattern(url, pattern))) return;
+    
+    const hash = files[url]?.hash || null;
+    assets.set(url, { url, revision: revision || hash, hash });
+  };
+  
+  if (precache.manifest) {
+    if (!manifest) {
+      throw new Error(`kernel.precache.manifest is set but ${MANIFEST_PATH} is missing`);
+    }
+    Object.keys(files).forEach(url => add(url));
+  }
+  
+  for (const asset of precache.assets || []) {
+    if (typeof asset === 'string') {
+      add(asset);
+    } else {
+      add(asset.url, asset.revision);
+    }
+  }
+  
+  return Array.from(assets.values()).sort((a, b) => a.url.localeCompare(b.url));
+}
+
+/**
+ * Install Precache
+ * Downloads changed assets into a new cache named after the asset list
+ * and copies unchanged ones from the active precache. The new cache is
+ * only switched to on activation, so the switch is atomic
+ */
+async function installPrecache() {
+  const precache = kernelConfig.kernel?.precache;
+  const manifest = await loadSiteManifest();
+  const assets = precache ? resolvePrecacheAssets(precache, manifest) : [];
+  
+  const state = {
+    cache: null,
+    revision: null,
+    assets: {},
+    files: manifestHashes(manifest)
+  };
+  
+  if (assets.length > 0) {
+    // Unrevisioned assets may have changed, so they always get a fresh cache
+    const key = assets.map(asset => `${asset.url}\0${asset.revision || Date.now()}`).join('\n');
+    state.revision = (await sha256Hex(new TextEncoder().encode(key))).substring(0, 16);
+    state.cache = PRECACHE_PREFIX + state.revision;
+    assets.forEach(asset => { state.assets[asset.url] = asset.revision; });
+    
+    const active = await getPrecacheState();
+    if (active?.cache !== state.cache) {
+      await fillPrecache(state.cache, assets, active);
+    }
+    
+    console.log(`[Page9 Kernel] Precached ${assets.length} assets, revision ${state.revision}`);
+  }
+  
+  await dbTransaction('kernel-state', 'readwrite', store => store.put(state, 'precache-pending'));
+}
+
+/**
+ * Fill Precache
+ * Any failed or corrupt download deletes the new cache and fails the install
+ */
+async function fillPrecache(cacheName, assets, active) {
+  const cache = await caches.open(cacheName);
+  const activeCache = active?.cache ? await caches.open(active.cache) : null;
+  let copied = 0;
+  
+  try {
+    await runWithConcurrency(assets, PRECACHE_CONCURRENCY, async (asset) => {
+      if (asset.revision && activeCache && active.assets[asset.url] === asset.revision) {
+        const cached = await activeCache.match(asset.url);
+        if (cached) {
+          await cache.put(asset.url, cached);
+          copied++;
+          return;
+        }
+      }
+      
+      const response = await fetch(asset.url, { cache: 'no-cache' });
+      if (!response.ok) {
+        throw new Error(`Precache of ${asset.url} failed: ${response.status}`);
+      }
+      
+      if (asset.hash) {
+        const hash = await sha256Hex(await response.clone().arrayBuffer());
+        if (hash !== asset.hash) {
+          throw new Error(`Precache of ${asset.url} failed: content does not match the manifest`);
+        }
+      }
+      
+      await cache.put(asset.url, response);
+    });
+  } catch (error) {
+    await caches.delete(cacheName);
+    throw error;
+  }
+  
+  console.log(`[Page9 Kernel] Downloaded ${assets.length - copied} assets, reused ${copied}`);
+}
+
+/**
+ * Activate Precache
+ * Switches to the precache built at install, drops runtime cache entries
+ * for files whose manifest hash changed, and deletes old precaches
+ */
+async function activatePrecache() {
+  const pending = await dbTransaction('kernel-state', 'readonly', store => store.get('precache-pending'));
+  if (!pending) return;
+  
+  const previous = await getPrecacheState();
+  
+  await dbTransaction('kernel-state', 'readwrite', store => {
+    store.put(pending, 'precache');
+    store.delete('precache-pending');
+  });
+  precacheState = Promise.resolve(pending);
+  
+  if (previous?.files && pending.files) {
+    const changed = Object.keys(previous.files)
+      .filter(path => previous.files[path] !== pending.files[path])
+      .map(path => new URL(path, self.location.origin).href);
+    await evictUrls(changed);
+  }
+  
+  const cacheNames = await caches.keys();
+  await Promise.all(cacheNames
+    .filter(name => name.startsWith(PRECACHE_PREFIX) && name !== pending.cache)
+    .map(name => caches.delete(name)));
+}
+
+/**
+ * Get Active Precache State
+ * { cache, revision, assets: { url: revision }, files: { path: hash } }
+ */
+function getPrecacheState() {
+  if (!precacheState) {
+    precacheState = dbTransaction('kernel-state', 'readonly', store => store.get('precache'))
+      .catch(error => {
+        console.warn('[Page9 Kernel] Failed to read precache state:', error);
+        precacheState = null;
+        return null;
+      });
+  }
+  
+  return precacheState;
+}
+
+/**
+ * Evict URLs from the Runtime Caches
+ */
+async function evictUrls(urls) {
+  if (urls.length === 0) return;
+  
+  for (const name of await getKernelCacheNames()) {
+    const cache = await caches.open(name);
+    await Promise.all(urls.map(url => cache.delete(url)));
+    await deleteCacheEntries(name, urls);
+  }
+}
+
+/**
+ * Manifest Hashes
+ * The { path: hash } map of a site manifest
+ */
+function manifestHashes(manifest) {
+  if (!manifest) return null;
+  
+  const hashes = {};
+  for (const [path, file] of Object.entries(manifest.files)) {
+    hashes[path] = file.hash;
+  }
+  return hashes;
+}
+
+/**
+ * SHA-256 as Hex
+ */
+async function sha256Hex(data) {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Run Tasks with Limited Concurrency
+ */
+async function runWithConcurrency(items, limit, task) {
+  const queue = [...items];
+  const runners = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+    while (queue.length > 0) {
+      await task(queue.shift());
+    }
+  });
+  
+  await Promise.all(runners);
+}
+
+/**
+ * Find Cache Rule
+ * First entry of kernel.cacheRules whose pattern matches the path
+ */
+function findCacheRule(pathname) {
+  const rules = kernelConfig?.kernel?.cacheRules || [];
+  return rules.find(rule => matchPattern(pathname, rule.pattern)) || null;
+}
+
+/**
+ * Resolve Cache Policy
+ * Fills in a route, mount or rule policy from the kernel defaults
+ */
+function resolveCachePolicy(policy) {
+  const options = policy || {};
+  
+  return {
+    strategy: options.strategy || kernelConfig?.kernel?.cachingStrategy || 'cache-first',
+    cacheName: options.name ? `${CACHE_NAME}:${options.name}` : CACHE_NAME,
+    maxAgeSeconds: options.maxAgeSeconds || 0,
+    maxEntries: options.maxEntries || 0
+  };
+}
+
+/**
+ * Apply Caching Strategy
+ * The fetcher produces the network response for the request.
+ * Non-GET requests always go to the network
+ */
+async function applyCachingStrategy(request, fetcher, policy) {
+  // The Cache API only stores GET responses
+  if (request.method !== 'GET') {
+    return fetcher(request);
+  }
+  
+  const resolved = resolveCachePolicy(policy);
+  
+  switch (resolved.strategy) {
+    case 'cache-first':
+      return cacheFirst(request, fetcher, resolved);
+    case 'network-first':
+      return networkFirst(request, fetcher, resolved);
+    case 'stale-while-revalidate':
+      return staleWhileRevalidate(request, fetcher, resolved);
+    case 'cache-only':
+      return cacheOnly(request, resolved);
+    case 'network-only':
+    default:
+      return fetcher(request);
+  }
+}
+
+/**
+ * Cache-First Strategy
+ */
+async function cacheFirst(request, fetcher, policy) {
+  const cached = await cacheLookup(request, policy);
+  
+  if (cached) {
+    return cached;
+  }
+  
+  try {
+    const response = await fetcher(request);
     if (response.ok) {
-      cache.put(request, response.clone());
+      keepCacheWrite(cacheStore(request, response.clone(), policy));
     }
     return response;
-  });
+  } catch (error) {
+    console.error('[Page9 Kernel] Fetch failed:', error);
+    return new Response('Network error', { status: 503 });
+  }
+}
+
+/**
+ * Network-First Strategy
+ */
+async function networkFirst(request, fetcher, policy) {
+  try {
+    const response = await fetcher(request);
+    if (response.ok) {
+      keepCacheWrite(cacheStore(request, response.clone(), policy));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cacheLookup(request, policy);
+    if (cached) {
+      return cached;
+    }
+    return new Response('Network error and no cache', { status: 503 });
+  }
+}
+
+/**
+ * Stale-While-Revalidate Strategy
+ */
+async function staleWhileRevalidate(request, fetcher, policy) {
+  const cached = await cacheLookup(request, policy);
+  
+  const fetchPromise = fetcher(request)
+    .then(response => {
+      if (response.ok) {
+        keepCacheWrite(cacheStore(request, response.clone(), policy));
+      }
+      return response;
+    })
+    .catch(error => {
+      console.error('[Page9 Kernel] Revalidation failed:', error);
+      return new Response('Network error', { status: 503 });
+    });
+  
+  // The revalidation outlives the cached response it replaces
+  if (cached) {
+    keepCacheWrite(fetchPromise);
+  }
   
   return cached || fetchPromise;
 }
 
+/**
+ * Cache-Only Strategy
+ */
+async function cacheOnly(request, policy) {
+  const cached = await cacheLookup(request, policy);
+  return cached || new Response('Not in cache', { status: 504 });
+}
+
+/**
+ * Cache Lookup
+ * Expired entries are evicted and reported as misses
+ */
+async function cacheLookup(request, policy) {
+  const cache = await caches.open(policy.cacheName);
+  const cached = await cache.match(request);
+  
+  if (!cached || (!policy.maxAgeSeconds && !policy.maxEntries)) {
+    return cached || null;
+  }
+  
+  let entry;
+  try {
+    entry = await getCacheEntry(policy.cacheName, request.url);
+  } catch (error) {
+    console.warn('[Page9 Kernel] Cache metadata unavailable:', error);
+    return cached;
+  }
+  const now = Date.now();
+  
+  // An entry stored without its metadata has no known age
+  if (!entry || (policy.maxAgeSeconds && now - entry.storedAt > policy.maxAgeSeconds * 1000)) {
+    await cache.delete(request);
+    await deleteCacheEntries(policy.cacheName, [request.url]);
+    return null;
+  }
+  
+  // Track reads for LRU eviction
+  if (policy.maxEntries) {
+    putCacheEntry({ ...entry, accessedAt: now }).catch(error => {
+      console.warn('[Page9 Kernel] Cache metadata update failed:', error);
+    });
+  }
+  
+  return cached;
+}
+
+/**
+ * Keep a Cache Write Alive
+ * Holds the kernel open until the write settles, see settleCacheWrites
+ */
+function keepCacheWrite(promise) {
+  const settled = () => pendingCacheWrites.delete(promise);
+  pendingCacheWrites.add(promise);
+  promise.then(settled, settled);
+}
+
+/**
+ * Settle Cache Writes
+ * Resolves once no cache write is pending, including writes started by
+ * the ones it waited for
+ */
+async function settleCacheWrites() {
+  while (pendingCacheWrites.size > 0) {
+    await Promise.allSettled(Array.from(pendingCacheWrites));
+  }
+}
+
+/**
+ * Cache Store
+ * Records expiry metadata and enforces the entry limit. Transform
+ * fallbacks are never stored
+ */
+async function cacheStore(request, response, policy) {
+  if (response.headers.has(TRANSFORM_FALLBACK_HEADER)) return;
+  
+  try {
+    const cache = await caches.open(policy.cacheName);
+    await cache.put(request, response);
+    
+    const now = Date.now();
+    await putCacheEntry({
+      cache: policy.cacheName,
+      url: request.url,
+      strategy: policy.strategy,
+      size: Number(response.headers.get('Content-Length')) || null,
+      storedAt: now,
+      accessedAt: now
+    });
+    
+    if (policy.maxEntries) {
+      await evictLeastRecentlyUsed(policy.cacheName, policy.maxEntries);
+    }
+  } catch (error) {
+    console.error('[Page9 Kernel] Cache store failed:', error);
+  }
+}
+
+/**
+ * Evict Least Recently Used Entries
+ */
+async function evictLeastRecentlyUsed(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const requests = await cache.keys();
+  
+  if (requests.length <= maxEntries) return;
+  
+  const entries = await getCacheEntries(cacheName);
+  const accessed = new Map(entries.map(entry => [entry.url, entry.accessedAt]));
+  
+  const evicted = requests
+    .sort((a, b) => (accessed.get(a.url) || 0) - (accessed.get(b.url) || 0))
+    .slice(0, requests.length - maxEntries);
+  
+  await Promise.all(evicted.map(request => cache.delete(request)));
+  await deleteCacheEntries(cacheName, evicted.map(request => request.url));
+}
+
+/**
+ * Get Kernel Cache Names
+ * The default cache plus named caches for this kernel version
+ */
+async function getKernelCacheNames() {
+  const cacheNames = await caches.keys();
+  return cacheNames.filter(name => name === CACHE_NAME || name.startsWith(CACHE_NAME + ':'));
+}
+
 /**
  * Clean Old Caches
  */
 async function cleanOldCaches() {
+  const current = await getKernelCacheNames();
   const cacheNames = await caches.keys();
-  return Promise.all(
-    cacheNames
-      .filter(name => name.startsWith('page9-kernel-') && name !== CACHE_NAME)
-      .map(name => caches.delete(name))
-  );
+  const stale = cacheNames.filter(name => name.startsWith('page9-kernel-') && !current.includes(name));
+  
+  await Promise.all(stale.map(name => caches.delete(name)));
+  await Promise.all(stale.map(name => deleteCacheEntries(name)));
+}
+
+/**
+ * Cache Label
+ * "default", the policy name of a named cache, or "precache"
+ */
+function cacheLabel(cacheName) {
+  if (cacheName === CACHE_NAME) return 'default';
+  if (cacheName.startsWith(CACHE_NAME + ':')) return cacheName.substring(CACHE_NAME.length + 1);
+  return 'precache';
+}
+
+/**
+ * Match a Cached URL Against a Glob Pattern
+ * Same-origin URLs match by path, others by the full URL
+ */
+function matchCachedUrl(url, pattern) {
+  const parsed = new URL(url);
+  const subject = parsed.origin === self.location.origin ? parsed.pathname + parsed.search : url;
+  return matchPattern(subject, pattern);
+}
+
+/**
+ * List Cache Entries
+ * Every response the kernel holds, including the precache, with the
+ * metadata recorded when it was stored
+ */
+async function listCacheEntries(pattern) {
+  const cacheNames = await getKernelCacheNames();
+  const precache = await getPrecacheState();
+  if (precache?.cache) {
+    cacheNames.push(precache.cache);
+  }
+  
+  const entries = [];
+  for (const cacheName of cacheNames) {
+    const cache = await caches.open(cacheName);
+    const requests = (await cache.keys())
+      .filter(request => !pattern || matchCachedUrl(request.url, pattern));
+    if (requests.length === 0) continue;
+    
+    const metadata = await getCacheEntries(cacheName).catch(() => []);
+    const recorded = new Map(metadata.map(entry => [entry.url, entry]));
+    
+    for (const request of requests) {
+      const entry = recorded.get(request.url) || {};
+      let { size, storedAt } = entry;
+      
+      // Older entries and the precache have no metadata; read the response
+      if (!size || !storedAt) {
+        const response = await cache.match(request);
+        size = size || (await response.clone().blob()).size;
+        storedAt = storedAt || Date.parse(response.headers.get('Date')) || null;
+      }
+      
+      entries.push({
+        url: request.url,
+        cache: cacheLabel(cacheName),
+        strategy: cacheName === precache?.cache ? 'precache' : entry.strategy || null,
+        size,
+        storedAt,
+        accessedAt: entry.accessedAt || null
+      });
+    }
+  }
+  
+  return entries.sort((a, b) => a.url.localeCompare(b.url));
+}
+
+/**
+ * Evict Cache Entries
+ * Removes the given urls, or those matching a glob pattern, from the
+ * runtime caches. The precache only changes through updates
+ */
+async function evictCacheEntries({ urls, pattern }) {
+  const targets = urls && new Set(urls.map(url => new URL(url, self.location.origin).href));
+  const evicted = [];
+  
+  for (const cacheName of await getKernelCacheNames()) {
+    const cache = await caches.open(cacheName);
+    const matching = (await cache.keys()).filter(request =>
+      targets ? targets.has(request.url) : matchCachedUrl(request.url, pattern));
+    
+    await Promise.all(matching.map(request => cache.delete(request)));
+    await deleteCacheEntries(cacheName, matching.map(request => request.url));
+    evicted.push(...matching.map(request => request.url));
+  }
+  
+  return evicted;
+}
+
+/**
+ * Prefetch URLs
+ * Fetches each URL the way a request for it would be handled and stores it
+ * under the cache policy of its route, mount or cache rule. URLs the
+ * kernel would never read from the cache are skipped
+ */
+async function prefetchUrls(urls) {
+  const fetched = [];
+  const skipped = [];
+  const failed = [];
+  
+  if (!kernelConfig) {
+    await loadKernelConfig();
+  }
+  
+  await runWithConcurrency(urls, PRECACHE_CONCURRENCY, async (url) => {
+    try {
+      const request = new Request(new URL(url, self.location.origin));
+      const { fetcher, policy, skip } = resolveCacheableHandler(request);
+      const resolved = resolveCachePolicy(policy);
+      const reason = skip || (resolved.strategy === 'network-only' && 'Its cache policy is network-only');
+      if (reason) {
+        skipped.push({ url, reason });
+        return;
+      }
+      
+      const response = await fetcher(request);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      if (response.headers.has(TRANSFORM_FALLBACK_HEADER)) {
+        skipped.push({ url, reason: 'No page could run its transform' });
+        return;
+      }
+      
+      await cacheStore(request, response, resolved);
+      fetched.push(request.url);
+    } catch (error) {
+      failed.push({ url, error: error.message });
+    }
+  });
+  
+  return { fetched, skipped, failed };
+}
+
+/**
+ * Resolve Cacheable Handler
+ * The fetcher and cache policy handleRequest would use for a GET request.
+ * skip says why the kernel would never read the URL from the cache
+ */
+function resolveCacheableHandler(request) {
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) {
+    throw new Error('Only same-origin URLs can be prefetched');
+  }
+  
+  const pathname = url.pathname;
+  const route = matchRoute(pathname);
+  if (route) {
+    return {
+      fetcher: () => fetchRoute(request, route),
+      policy: route.cache,
+      skip: !route.cache && !route.transform && 'The route has no cache policy'
+    };
+  }
+  
+  const union = findUnion(pathname);
+  if (union) {
+    if (union.every(isKernelMount)) {
+      return { skip: 'Kernel files are never cached' };
+    }
+    
+    const cached = union.find(mount => mount.cache && !isKernelMount(mount));
+    return {
+      fetcher: () => fetchFromUnion(request, union),
+      policy: cached?.cache,
+      skip: !cached && 'The mount has no cache policy'
+    };
+  }
+  
+  return { fetcher: fetchFile, policy: findCacheRule(pathname), skip: false };
 }
 
 /**
  * Clear All Caches
  */
 async function clearCache() {
-  return caches.delete(CACHE_NAME);
+  const cacheNames = await getKernelCacheNames();
+  
+  await Promise.all(cacheNames.map(name => caches.delete(name)));
+  await Promise.all(cacheNames.map(name => deleteCacheEntries(name)));
+  return true;
+}
+
+/**
+ * Open Kernel Database
+ * IndexedDB holds kernel state that must outlive the service worker
+ */
+function openKernelDB() {
+  if (!kernelDB) {
+    kernelDB = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => upgradeKernelDB(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        kernelDB = null;
+        reject(request.error);
+      };
+    });
+  }
+  
+  return kernelDB;
+}
+
+/**
+ * Upgrade Kernel Database Schema
+ */
+function upgradeKernelDB(db) {
+  // Cache metadata, keyed by [cache name, url]
+  if (!db.objectStoreNames.contains('cache-entries')) {
+    db.createObjectStore('cache-entries', { keyPath: ['cache', 'url'] });
+  }
+  
+  // Kernel state such as the last-known-good config, keyed by name
+  if (!db.objectStoreNames.contains('kernel-state')) {
+    db.createObjectStore('kernel-state');
+  }
+  
+  // Files written to store mounts, keyed by [store name, path]
+  if (!db.objectStoreNames.contains('store-files')) {
+    db.createObjectStore('store-files', { keyPath: ['store', 'path'] });
+  }
+  
+  // Writes queued while offline, in the order they were made
+  if (!db.objectStoreNames.contains('outbox')) {
+    db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+  }
+  
+  // Snapshot bodies, keyed by their SHA-256
+  if (!db.objectStoreNames.contains('blocks')) {
+    db.createObjectStore('blocks', { keyPath: 'hash' });
+  }
+  
+  // Snapshots, keyed by name
+  if (!db.objectStoreNames.contains('snapshots')) {
+    db.createObjectStore('snapshots', { keyPath: 'name' });
+  }
+}
+
+/**
+ * Run a Kernel Database Transaction
+ * Resolves with the result of the request returned by the callback
+ */
+async function dbTransaction(storeName, mode, callback) {
+  const db = await openKernelDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+    
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Cache Metadata Helpers
+ * Array keys sort after strings, so [name] .. [name, []] spans one cache
+ */
+function cacheEntryRange(cacheName) {
+  return IDBKeyRange.bound([cacheName], [cacheName, []]);
+}
+
+async function getCacheEntry(cacheName, url) {
+  return dbTransaction('cache-entries', 'readonly', store => store.get([cacheName, url]));
+}
+
+async function getCacheEntries(cacheName) {
+  return dbTransaction('cache-entries', 'readonly', store => store.getAll(cacheEntryRange(cacheName)));
+}
+
+async function putCacheEntry(entry) {
+  return dbTransaction('cache-entries', 'readwrite', store => store.put(entry));
+}
+
+async function deleteCacheEntries(cacheName, urls) {
+  return dbTransaction('cache-entries', 'readwrite', store => {
+    if (!urls) {
+      return store.delete(cacheEntryRange(cacheName));
+    }
+    urls.forEach(url => store.delete([cacheName, url]));
+  });
+}
+
+/**
+ * Store File Helpers
+ */
+async function getStoreFile(storeName, path) {
+  return dbTransaction('store-files', 'readonly', store => store.get([storeName, path]));
+}
+
+async function putStoreFile(file) {
+  return dbTransaction('store-files', 'readwrite', store => store.put(file));
+}
+
+async function getStoreFiles(storeName, prefix) {
+  const range = IDBKeyRange.bound([storeName, prefix], [storeName, prefix + '\uffff']);
+  return dbTransaction('store-files', 'readonly', store => store.getAll(range));
+}
+
+async function deleteStoreFile(storeName, path) {
+  return dbTransaction('store-files', 'readwrite', store => store.delete([storeName, path]));
+}
+
+/**
+ * Outbox Helpers
+ * Entries come back in id order, which is the order they were queued
+ */
+async function getOutboxEntries() {
+  return dbTransaction('outbox', 'readonly', store => store.getAll());
+}
+
+async function addOutboxEntry(entry) {
+  return dbTransaction('outbox', 'readwrite', store => store.add(entry));
+}
+
+async function putOutboxEntry(entry) {
+  return dbTransaction('outbox', 'readwrite', store => store.put(entry));
+}
+
+async function deleteOutboxEntry(id) {
+  return dbTransaction('outbox', 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Block and Snapshot Helpers
+ * A block is written only when no block has its hash
+ */
+async function putBlock(body) {
+  const hash = await sha256Hex(body);
+  const exists = await dbTransaction('blocks', 'readonly', store => store.count(hash));
+  if (!exists) {
+    await dbTransaction('blocks', 'readwrite', store => store.put({ hash, body, size: body.byteLength }));
+  }
+  return hash;
+}
+
+async function getBlock(hash) {
+  return dbTransaction('blocks', 'readonly', store => store.get(hash));
+}
+
+async function getSnapshot(name) {
+  return dbTransaction('snapshots', 'readonly', store => store.get(name));
+}
+
+async function getSnapshots() {
+  return dbTransaction('snapshots', 'readonly', store => store.getAll());
 }
 
 console.log('[Page9 Kernel] Service Worker loaded v' + KERNEL_VERSION);
@@ -0,0 +1,210 @@
+/**
+ * Page9 CLI Tests
+ * The 9P server must keep clients inside the site root: no walking out
+ * of it, no following symbolic links, and nothing the manifest would skip
+ * 
+ * Run with: node --test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const {
+  parseArgs,
+  isOriginAllowed,
+  loadNineP,
+  createNinePConnection,
+  closeNinePFids,
+  NINEP_FILE_OPERATIONS
+} = require('../page9-cli.js');
+
+let protocol;
+let dir;
+let root;
+
+before(async () => {
+  protocol = await loadNineP();
+  
+  // dir/secret.txt sits next to the site root, dir/site
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'page9-cli-'));
+  root = path.join(dir, 'site');
+  await fs.mkdir(path.join(root, 'docs'), { recursive: true });
+  await fs.mkdir(path.join(root, 'node_modules'));
+  await fs.writeFile(path.join(dir, 'secret.txt'), 'secret');
+  await fs.writeFile(path.join(root, 'index.html'), '<h1>Page9</h1>');
+  await fs.writeFile(path.join(root, 'docs', 'readme.txt'), 'readme');
+  await fs.writeFile(path.join(root, '.env'), 'TOKEN=secret');
+  await fs.writeFile(path.join(root, 'node_modules', 'module.js'), '');
+  await fs.symlink(path.join(dir, 'secret.txt'), path.join(root, 'link.txt'));
+  await fs.symlink(dir, path.join(root, 'outside'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Connect as the 9p Command Would
+ * Returns a function sending one T-message and resolving with the reply
+ */
+function connect(...args) {
+  const options = parseArgs(['9p', '--root', root, ...args]);
+  const conn = createNinePConnection(protocol, options);
+  
+  const request = (type, message = {}) => NINEP_FILE_OPERATIONS[type](conn, message);
+  request.close = () => closeNinePFids(conn);
+  return request;
+}
+
+/**
+ * Attach Fid 0 to the Site Root
+ */
+async function attach(...args) {
+  const request = connect(...args);
+  await request('Tattach', { fid: 0, aname: '' });
+  return request;
+}
+
+test('walks to served files', async () => {
+  const request = await attach();
+  
+  const { wqids } = await request('Twalk', { fid: 0, newfid: 1, wnames: ['docs', 'readme.txt'] });
+  assert.deepStrictEqual(wqids.map(qid => qid.path), ['/docs', '/docs/readme.txt']);
+  
+  await request('Topen', { fid: 1, mode: 0 });
+  const { data } = await request('Tread', { fid: 1, offset: 0, count: 100 });
+  assert.strictEqual(data.toString(), 'readme');
+  
+  await request.close();
+});
+
+test('".." stops at the site root', async () => {
+  const request = await attach();
+  
+  const { wqids } = await request('Twalk', { fid: 0, newfid: 1, wnames: ['..', '..', 'index.html'] });
+  assert.deepStrictEqual(wqids.map(qid => qid.path), ['/', '/', '/index.html']);
+  
+  const partial = await request('Twalk', { fid: 0, newfid: 2, wnames: ['..', 'secret.txt'] });
+  assert.deepStrictEqual(partial.wqids.map(qid => qid.path), ['/']);
+  await assert.rejects(request('Tstat', { fid: 2 }), /fid unknown/);
+  
+  await request.close();
+});
+
+test('".." stops at the attached directory', async () => {
+  const request = connect();
+  await request('Tattach', { fid: 0, aname: 'docs' });
+  
+  const { wqids } = await request('Twalk', { fid: 0, newfid: 1, wnames: ['..'] });
+  assert.deepStrictEqual(wqids.map(qid => qid.path), ['/docs']);
+  
+  await request.close();
+});
+
+test('attach names cannot leave the site root', async () => {
+  const request = connect();
+  
+  const { qid } = await request('Tattach', { fid: 0, aname: '../..' });
+  assert.strictEqual(qid.path, '/');
+  
+  await request('Tattach', { fid: 1, aname: '../docs' });
+  const { stat } = await request('Tstat', { fid: 1 });
+  assert.strictEqual(stat.qid.path, '/docs');
+  
+  await assert.rejects(request('Tattach', { fid: 2, aname: 'outside' }), /file does not exist/);
+  
+  await request.close();
+});
+
+test('path elements must be single names', async () => {
+  const request = await attach();
+  
+  for (const name of ['docs/readme.txt', '/etc', '', '.']) {
+    await assert.rejects(
+      request('Twalk', { fid: 0, newfid: 1, wnames: [name] }),
+      /bad path element/
+    );
+  }
+  
+  await request.close();
+});
+
+test('symbolic links are not followed', async () => {
+  const request = await attach();
+  
+  for (const wnames of [['link.txt'], ['outside'], ['outside', 'secret.txt']]) {
+    await assert.rejects(
+      request('Twalk', { fid: 0, newfid: 1, wnames }),
+      /file does not exist/
+    );
+  }
+  
+  await request('Topen', { fid: 0, mode: 0 });
+  const { entries } = await request('Tread', { fid: 0, offset: 0, count: 100 });
+  assert.deepStrictEqual(entries.map(entry => entry.name).sort(), ['docs', 'index.html']);
+  
+  await request.close();
+});
+
+test('dotfiles and excluded files do not exist', async () => {
+  const request = await attach('--exclude', '/docs');
+  
+  for (const name of ['.env', 'node_modules', 'docs']) {
+    await assert.rejects(
+      request('Twalk', { fid: 0, newfid: 1, wnames: [name] }),
+      /file does not exist/
+    );
+  }
+  
+  await request.close();
+});
+
+test('a partial walk does not bind the new fid', async () => {
+  const request = await attach();
+  
+  const { wqids } = await request('Twalk', { fid: 0, newfid: 1, wnames: ['docs', 'outside'] });
+  assert.strictEqual(wqids.length, 1);
+  await assert.rejects(request('Tstat', { fid: 1 }), /fid unknown/);
+  
+  await request.close();
+});
+
+test('files are read-only unless --writable', async () => {
+  const { OWRITE, OTRUNC } = protocol.NinePClient;
+  
+  const readOnly = await attach();
+  await readOnly('Twalk', { fid: 0, newfid: 1, wnames: ['index.html'] });
+  await assert.rejects(readOnly('Topen', { fid: 1, mode: OWRITE }), /read-only/);
+  await assert.rejects(readOnly('Topen', { fid: 1, mode: OTRUNC }), /read-only/);
+  await readOnly.close();
+  
+  const writable = await attach('--writable');
+  await writable('Twalk', { fid: 0, newfid: 1, wnames: ['docs', 'readme.txt'] });
+  await writable('Topen', { fid: 1, mode: OWRITE });
+  await writable('Twrite', { fid: 1, offset: 0, data: Buffer.from('README') });
+  await writable.close();
+  
+  assert.strictEqual(await fs.readFile(path.join(root, 'docs', 'readme.txt'), 'utf8'), 'README');
+});
+
+test('only loopback origins connect by default', () => {
+  assert.strictEqual(isOriginAllowed(undefined, []), true);
+  assert.strictEqual(isOriginAllowed('http://localhost:8000', []), true);
+  assert.strictEqual(isOriginAllowed('https://127.0.0.1', []), true);
+  assert.strictEqual(isOriginAllowed('http://[::1]:8000', []), true);
+  
+  assert.strictEqual(isOriginAllowed('https://example.com', []), false);
+  assert.strictEqual(isOriginAllowed('http://localhost.example.com', []), false);
+  assert.strictEqual(isOriginAllowed('file://localhost', []), false);
+  assert.strictEqual(isOriginAllowed('null', []), false);
+});
+
+test('--origin replaces the default origins', () => {
+  const { origins } = parseArgs(['9p', '--origin', 'https://example.com/']);
+  
+  assert.strictEqual(isOriginAllowed('https://example.com', origins), true);
+  assert.strictEqual(isOriginAllowed('http://localhost:8000', origins), false);
+});
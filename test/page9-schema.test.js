@@ -0,0 +1,188 @@
+/**
+ * Page9 Schema Tests
+ * Config validation and layered loading, run in a sandbox like the CLI
+ * runs page9-schema.js
+ * 
+ * Run with: node --test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { readFileSync } = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const schema = { URL };
+vm.createContext(schema);
+vm.runInContext(readFileSync(path.join(__dirname, '..', 'page9-schema.js'), 'utf8'), schema);
+
+const { validatePage9Config, mergeConfigLayer, loadPage9Config } = schema;
+
+/**
+ * Copy a Sandbox Value
+ * Objects made in the sandbox have its prototypes, which deepStrictEqual
+ * would tell apart from the test's own
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Read Config Files from an Object of Site Paths
+ */
+function readFrom(files) {
+  return async (file) => (file in files ? structuredClone(files[file]) : null);
+}
+
+test('the example config is valid', () => {
+  const config = JSON.parse(readFileSync(path.join(__dirname, '..', 'page9.config.example.json'), 'utf8'));
+  
+  assert.deepStrictEqual(plain(validatePage9Config(config)), []);
+});
+
+test('reports each invalid value by path', () => {
+  const errors = validatePage9Config({
+    kernel: { cachingStrategy: 'cache-always' },
+    routes: { '/': { file: 3 } }
+  });
+  
+  assert.deepStrictEqual(plain(errors).map(error => error.path), [
+    'config.kernel.cachingStrategy',
+    'config.routes["/"].file'
+  ]);
+  assert.match(errors[0].message, /must be one of/);
+  assert.strictEqual(errors[1].message, 'expected string, got number');
+});
+
+test('rejects a namespace on wasm modules', () => {
+  const errors = validatePage9Config({
+    workers: { modules: [{ name: 'fib', path: '/fib.wasm', type: 'wasm', namespace: {} }] }
+  });
+  
+  assert.deepStrictEqual(plain(errors), [
+    { path: 'config.workers.modules[0].namespace', message: 'not allowed on wasm modules' }
+  ]);
+});
+
+test('rejects the JSON Schema as a config', () => {
+  const config = JSON.parse(readFileSync(path.join(__dirname, '..', 'page9.config.json'), 'utf8'));
+  const errors = validatePage9Config(config);
+  
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0].message, /is the JSON Schema for Page9 configs/);
+  assert.deepStrictEqual(plain(validatePage9Config({ $schema: './page9.config.json', routes: {} })), []);
+});
+
+test('names the file each error came from', async () => {
+  const layered = await loadPage9Config('/page9.config.json', readFrom({
+    '/page9.config.json': { include: ['/kernel.json'], routes: {} },
+    '/kernel.json': { kernel: { cachingStrategy: 'cache-always' } }
+  }));
+  const errors = validatePage9Config(layered.config, layered.sources);
+  
+  assert.strictEqual(errors[0].file, '/kernel.json');
+});
+
+test('merges objects key by key and replaces arrays', () => {
+  const target = { kernel: { version: '0.1.0', interceptPatterns: ['/*'] } };
+  const sources = {};
+  mergeConfigLayer(target, { kernel: { cachingStrategy: 'network-first', interceptPatterns: ['/app/*'] } },
+    'config', '/overlay.json', sources);
+  
+  assert.deepStrictEqual(plain(target), {
+    kernel: { version: '0.1.0', interceptPatterns: ['/app/*'], cachingStrategy: 'network-first' }
+  });
+  assert.deepStrictEqual(plain(sources), {
+    'config.kernel.cachingStrategy': '/overlay.json',
+    'config.kernel.interceptPatterns': '/overlay.json'
+  });
+});
+
+test('null removes a value and its sources', () => {
+  const target = { kernel: { version: '0.1.0' }, workers: { enabled: true, pool: { min: 2 } } };
+  const sources = {
+    'config.kernel.version': '/base.json',
+    'config.workers.enabled': '/base.json',
+    'config.workers.pool.min': '/base.json'
+  };
+  mergeConfigLayer(target, { kernel: { version: null }, workers: { pool: null } },
+    'config', '/overlay.json', sources);
+  
+  assert.deepStrictEqual(plain(target), { kernel: {}, workers: { enabled: true } });
+  assert.deepStrictEqual(plain(sources), { 'config.workers.enabled': '/base.json' });
+});
+
+test('applies includes before the including file', async () => {
+  const layered = await loadPage9Config('/page9.config.json', readFrom({
+    '/page9.config.json': { include: ['config/base.json'], kernel: { cachingStrategy: 'network-first' } },
+    '/config/base.json': { include: ['shared.json'], kernel: { cachingStrategy: 'cache-first', version: '0.1.0' } },
+    '/config/shared.json': { workers: { enabled: false } }
+  }));
+  
+  assert.deepStrictEqual(plain(layered.files), ['/config/shared.json', '/config/base.json', '/page9.config.json']);
+  assert.deepStrictEqual(plain(layered.config), {
+    workers: { enabled: false },
+    kernel: { cachingStrategy: 'network-first', version: '0.1.0' }
+  });
+  assert.strictEqual(layered.sources['config.kernel.cachingStrategy'], '/page9.config.json');
+});
+
+test('rejects include cycles', async () => {
+  await assert.rejects(
+    loadPage9Config('/page9.config.json', readFrom({
+      '/page9.config.json': { include: ['/a.json'] },
+      '/a.json': { include: ['/b.json'] },
+      '/b.json': { include: ['/a.json'] }
+    })),
+    { message: 'Include cycle: /page9.config.json -> /a.json -> /b.json -> /a.json' }
+  );
+  
+  await assert.rejects(
+    loadPage9Config('/page9.config.json', readFrom({
+      '/page9.config.json': { include: ['page9.config.json'] }
+    })),
+    /Include cycle/
+  );
+});
+
+test('includes the same file twice when it is not a cycle', async () => {
+  const layered = await loadPage9Config('/page9.config.json', readFrom({
+    '/page9.config.json': { include: ['/a.json', '/b.json'] },
+    '/a.json': { include: ['/shared.json'] },
+    '/b.json': { include: ['/shared.json'] },
+    '/shared.json': { routes: {} }
+  }));
+  
+  assert.deepStrictEqual(plain(layered.files),
+    ['/shared.json', '/a.json', '/shared.json', '/b.json', '/page9.config.json']);
+});
+
+test('rejects missing includes and other sites', async () => {
+  await assert.rejects(
+    loadPage9Config('/page9.config.json', readFrom({ '/page9.config.json': { include: ['/missing.json'] } })),
+    { message: '/page9.config.json: included file /missing.json not found' }
+  );
+  
+  await assert.rejects(
+    loadPage9Config('/page9.config.json', readFrom({ '/page9.config.json': { include: ['https://example.com/x.json'] } })),
+    /must be on the same site/
+  );
+});
+
+test('applies the overlay of the environment matching the host', async () => {
+  const files = {
+    '/page9.config.json': {
+      environments: { staging: { hosts: ['staging.example.com'] } },
+      kernel: { cachingStrategy: 'cache-first' }
+    },
+    '/page9.config.staging.json': { kernel: { cachingStrategy: 'network-first' } }
+  };
+  
+  const staging = await loadPage9Config('/page9.config.json', readFrom(files), { hostname: 'staging.example.com' });
+  assert.strictEqual(staging.environment, 'staging');
+  assert.strictEqual(staging.config.kernel.cachingStrategy, 'network-first');
+  
+  const production = await loadPage9Config('/page9.config.json', readFrom(files), { hostname: 'example.com' });
+  assert.strictEqual(production.environment, null);
+  assert.strictEqual(production.config.kernel.cachingStrategy, 'cache-first');
+});
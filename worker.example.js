@@ -4,148 +4,176 @@
  * Demonstrates process isolation in Page9
  */
 
+import { serve, transfer, checkpoint, RpcError } from '/page9-worker.js';
+
 console.log('[Page9 Worker] Example worker module loaded');
 
 // Worker state
 let taskCount = 0;
 
+// Characters hashed between progress reports and cancellation checks
+const HASH_CHUNK_SIZE = 1 << 20;
+
 /**
- * Message Handler
+ * Message Handlers
+ */
+serve({
+  ECHO: handleEcho,
+  COMPUTE: handleCompute,
+  HASH: handleHash,
+  STATUS: handleStatus,
+  TRANSFORM: handleTransform
+});
+
+/**
+ * Echo Handler - Simple echo test
  */
-self.addEventListener('message', (event) => {
-  const { type, payload, id } = event.data;
+function handleEcho(payload) {
+  return {
+    echo: payload,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Compute Handler - CPU-intensive task
+ */
+function handleCompute(payload) {
+  taskCount++;
   
-  console.log(`[Page9 Worker] Received message: ${type}`);
+  const { operation, value } = payload;
+  let result;
   
-  switch (type) {
-    case 'ECHO':
-      handleEcho(payload, id);
+  switch (operation) {
+    case 'square':
+      result = value * value;
       break;
-      
-    case 'COMPUTE':
-      handleCompute(payload, id);
+    case 'cube':
+      result = value * value * value;
       break;
-      
-    case 'HASH':
-      handleHash(payload, id);
+    case 'fibonacci':
+      result = fibonacci(value);
       break;
-      
-    case 'STATUS':
-      handleStatus(id);
+    case 'factorial':
+      result = factorial(value);
       break;
-      
     default:
-      self.postMessage({
-        id,
-        error: `Unknown message type: ${type}`
-      });
+      throw new RpcError(`Unknown operation: ${operation}`, 'BAD_OPERATION');
   }
-});
+  
+  return {
+    operation,
+    input: value,
+    output: result,
+    taskNumber: taskCount
+  };
+}
 
 /**
- * Echo Handler - Simple echo test
+ * Hash Handler - String or binary hashing
+ * Accepts { text } or a transferred { buffer } (ArrayBuffer). Large inputs
+ * are hashed in chunks, reporting progress and honouring cancellation.
+ * The buffer is transferred back to the caller with the result
  */
-function handleEcho(payload, id) {
-  self.postMessage({
-    id,
-    result: {
-      echo: payload,
-      timestamp: Date.now()
+async function handleHash(payload, { signal, progress }) {
+  const { text, buffer, algorithm } = payload;
+  const input = buffer ? new Uint8Array(buffer) : text;
+  const hasher = algorithm === 'djb2' ? djb2Hash : simpleHash;
+  
+  let state = hasher.initial;
+  for (let offset = 0; offset < input.length; offset += HASH_CHUNK_SIZE) {
+    state = hasher(input.slice(offset, offset + HASH_CHUNK_SIZE), state);
+    
+    if (offset + HASH_CHUNK_SIZE < input.length) {
+      progress({ processed: offset + HASH_CHUNK_SIZE, total: input.length });
+      await checkpoint(signal);
     }
-  });
+  }
+  
+  const result = {
+    text: buffer ? undefined : text,
+    algorithm: algorithm || 'simple',
+    length: input.length,
+    hash: state.toString(16)
+  };
+  
+  return buffer ? transfer({ ...result, buffer }, [buffer]) : result;
 }
 
 /**
- * Compute Handler - CPU-intensive task
+ * Status Handler - Worker status
  */
-function handleCompute(payload, id) {
-  taskCount++;
+function handleStatus() {
+  return {
+    active: true,
+    tasksProcessed: taskCount,
+    uptime: 'running'
+  };
+}
+
+/**
+ * Transform Handler - Route response transform
+ * Renders a Markdown body as an HTML document
+ */
+function handleTransform(payload) {
+  const { body, request } = payload;
+  const title = new URL(request.url).pathname;
   
-  try {
-    const { operation, value } = payload;
-    let result;
-    
-    switch (operation) {
-      case 'square':
-        result = value * value;
-        break;
-      case 'cube':
-        result = value * value * value;
-        break;
-      case 'fibonacci':
-        result = fibonacci(value);
-        break;
-      case 'factorial':
-        result = factorial(value);
-        break;
-      default:
-        throw new Error(`Unknown operation: ${operation}`);
-    }
-    
-    self.postMessage({
-      id,
-      result: {
-        operation,
-        input: value,
-        output: result,
-        taskNumber: taskCount
-      }
-    });
-  } catch (error) {
-    self.postMessage({
-      id,
-      error: error.message
-    });
-  }
+  return {
+    body: `<!DOCTYPE html>\n<html><head><meta charset="UTF-8"><title>${escapeHtml(title)}</title></head>\n<body>\n${renderMarkdown(body)}</body></html>\n`,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  };
 }
 
 /**
- * Hash Handler - String hashing
+ * Minimal Markdown Renderer
+ * Headings, paragraphs, code blocks, emphasis, inline code and links
  */
-function handleHash(payload, id) {
-  try {
-    const { text, algorithm } = payload;
-    let hash;
-    
-    switch (algorithm) {
-      case 'simple':
-        hash = simpleHash(text);
-        break;
-      case 'djb2':
-        hash = djb2Hash(text);
-        break;
-      default:
-        hash = simpleHash(text);
-    }
-    
-    self.postMessage({
-      id,
-      result: {
-        text,
-        algorithm,
-        hash
+function renderMarkdown(text) {
+  const blocks = text.replace(/\r\n/g, '\n').split(/\n{2,}/);
+  
+  return blocks
+    .map(block => block.trim())
+    .filter(Boolean)
+    .map(block => {
+      if (block.startsWith('```')) {
+        const code = block.replace(/^```\w*\n?/, '').replace(/\n?```$/, '');
+        return `<pre><code>${escapeHtml(code)}</code></pre>\n`;
       }
-    });
-  } catch (error) {
-    self.postMessage({
-      id,
-      error: error.message
-    });
-  }
+      
+      const heading = block.match(/^(#{1,6})\s+(.*)$/);
+      if (heading) {
+        const level = heading[1].length;
+        return `<h${level}>${renderInline(heading[2])}</h${level}>\n`;
+      }
+      
+      return `<p>${renderInline(block)}</p>\n`;
+    })
+    .join('');
 }
 
 /**
- * Status Handler - Worker status
+ * Render Inline Markdown
  */
-function handleStatus(id) {
-  self.postMessage({
-    id,
-    result: {
-      active: true,
-      tasksProcessed: taskCount,
-      uptime: 'running'
-    }
-  });
+function renderInline(text) {
+  return escapeHtml(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) =>
+      /^javascript:/i.test(href) ? label : `<a href="${href}">${label}</a>`
+    );
+}
+
+/**
+ * Escape HTML Special Characters
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
 /**
@@ -180,26 +208,29 @@ function factorial(n) {
 
 /**
  * Simple Hash Function
+ * Accepts a string or byte chunk and the running hash
  */
-function simpleHash(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
+function simpleHash(chunk, hash = simpleHash.initial) {
+  for (let i = 0; i < chunk.length; i++) {
+    const char = typeof chunk === 'string' ? chunk.charCodeAt(i) : chunk[i];
     hash = ((hash << 5) - hash) + char;
     hash = hash & hash; // Convert to 32-bit integer
   }
-  return hash.toString(16);
+  return hash;
 }
+simpleHash.initial = 0;
 
 /**
  * DJB2 Hash Function
+ * Accepts a string or byte chunk and the running hash
  */
-function djb2Hash(str) {
-  let hash = 5381;
-  for (let i = 0; i < str.length; i++) {
-    hash = ((hash << 5) + hash) + str.charCodeAt(i);
+function djb2Hash(chunk, hash = djb2Hash.initial) {
+  for (let i = 0; i < chunk.length; i++) {
+    const char = typeof chunk === 'string' ? chunk.charCodeAt(i) : chunk[i];
+    hash = ((hash << 5) + hash) + char;
   }
-  return hash.toString(16);
+  return hash;
 }
+djb2Hash.initial = 5381;
 
 console.log('[Page9 Worker] Example worker ready');